@@ -75,15 +75,25 @@ class ApiServer {
      * Start the server
      * @public
      * @returns {Promise<void>}
+     * @throws
      */
     try {
       const address = await this.server.listen({ port: process.env.API_PORT || 4242 });
       this.bot.info(`API Server listening on port ${address}`);
     } catch (err) {
-      this.bot.log.error(err);
-      process.exit(1);
+      throw new Error(`Unable to start the API server: ${err.message}`);
     }
   }
+
+  async stop() {
+    /**
+     * Stop the server, waiting for the pending requests
+     * @public
+     * @returns {Promise<void>}
+     */
+    await this.server.close();
+    this.bot.info('API Server stopped');
+  }
 }
 
 export default ApiServer;
@@ -1,5 +1,47 @@
-import { SlashCommandBuilder } from 'discord.js';
+import {
+  ApplicationCommandType, ContextMenuCommandBuilder, PermissionsBitField, SlashCommandBuilder,
+} from 'discord.js';
+import Cooldown from './Cooldown.js';
 import User from './User.js';
+import { componentRouteKey } from './utils/componentIds.js';
+import compose from './utils/compose.js';
+import { disableComponents } from './utils/menusBuilders.js';
+import { buildUsage, missingSubcommandError, parseMessageArgs } from './utils/messageArgs.js';
+
+// Handlers reacting to any message, they are not triggered on purpose by the users
+const passiveHandlers = new Set(['Message Handler', 'Mention Handler', 'DM Handler']);
+
+// The cooldown entry points of the components handlers, the other handlers being the 'command' one
+const componentsEntryPoints = { 'Button handler': 'button', 'Select menu handler': 'selectMenu', 'Modal submit handler': 'modal' };
+
+const lifecycleHooks = ['beforeStart', 'ready', 'beforeStop', 'stopped'];
+
+// The bot needs those permissions in the voice channel of the user rather than in the text channel
+const voicePermissions = PermissionsBitField.Flags.Connect | PermissionsBitField.Flags.Speak;
+
+const missingPermissions = (required, permissions) => {
+  /**
+   * @param required {bigint} the required permissions
+   * @param permissions {PermissionsBitField | null} the granted permissions
+   * @returns {string[]} the names of the missing permissions
+   */
+  if (!required) {
+    return [];
+  }
+  if (permissions && permissions.has(required)) {
+    return [];
+  }
+  return new PermissionsBitField(required).toArray()
+    .filter(name => !permissions || !permissions.has(PermissionsBitField.Flags[name]));
+};
+
+const permissionsList = (interaction, names) => names
+  .map(name => {
+    const key = `permissions.${name}`;
+    const translation = interaction.t(key);
+    return translation === key ? name.replace(/([a-z])([A-Z])/g, '$1 $2') : translation;
+  })
+  .join(', ');
 
 /**
  * @typedef Choice
@@ -19,10 +61,31 @@ import User from './User.js';
  * @property {Localization} descriptionLocalized
  * @property {string} type
  * @property {boolean} required
+ * @property {boolean} autocomplete
  * @property {choices[]} options
  * @property {any} value
  */
 
+/**
+ * @typedef Subcommand
+ * @property {string} name
+ * @property {Localization} nameLocalized
+ * @property {string} description
+ * @property {Localization} descriptionLocalized
+ * @property {Option[] | undefined} options
+ * @property {function | undefined} commandHandler
+ * @property {function | undefined} autocompleteHandler
+ */
+
+/**
+ * @typedef SubcommandGroup
+ * @property {string} name
+ * @property {Localization} nameLocalized
+ * @property {string} description
+ * @property {Localization} descriptionLocalized
+ * @property {Subcommand[]} subcommands
+ */
+
 /**
  * @typedef {Object} ApiHandler
  * @property {string} method
@@ -30,6 +93,14 @@ import User from './User.js';
  * @property {function} handler
  */
 
+/**
+ * @typedef CommandHooks
+ * @property {function | undefined} beforeStart called with the bot before the commands registration and the login
+ * @property {function | undefined} ready called with the bot once it is connected to Discord
+ * @property {function | undefined} beforeStop called with the bot when it starts stopping, before the handlers are drained
+ * @property {function | undefined} stopped called with the bot once it is disconnected
+ */
+
 /**
  * @typedef CommandDefinition
  * @property {string} name
@@ -37,19 +108,33 @@ import User from './User.js';
  * @property {function | undefined} commandHandler
  * @property {function | undefined} buttonsHandler
  * @property {function | undefined} selectMenusHandler
+ * @property {function | undefined} autocompleteHandler
+ * @property {function | undefined} modalSubmitHandler
  * @property {string[] | undefined} mentionsHandheld
  * @property {string[] | undefined} messagesHandheld
  * @property {string[] | undefined} dmHandheld
  * @property {boolean | undefined} isSlashCommand
  * @property {boolean | undefined} isMessageCommand
+ * @property {'user' | 'message' | undefined} contextMenu
  * @property {boolean | undefined} acceptDM
  * @property {string[] | undefined} requiredRoles
  * @property {boolean | undefined} requireAllRoles
  * @property {string | undefined} requiredRolesErrorMessage
  * @property {any[] | undefined} options
- * @property {string[] | undefined} buttonsHandheld
- * @property {string[] | undefined} selectMenusHandheld
- * @property {number[] | undefined} requiredPermissions
+ * @property {Subcommand[] | undefined} subcommands
+ * @property {SubcommandGroup[] | undefined} subcommandGroups
+ * @property {Array<string | RegExp> | undefined} buttonsHandheld the buttons ids, or patterns like `vote-:pollId-:choice`
+ * @property {Array<string | RegExp> | undefined} selectMenusHandheld the select menus ids, or patterns
+ * @property {string[] | undefined} modalsHandheld
+ * @property {number[] | undefined} requiredPermissions the permissions the user needs
+ * @property {number[] | undefined} requiredBotPermissions the permissions the bot needs in the channel
+ * (in the user voice channel for Connect and Speak)
+ * @property {import('./Cooldown.js').CooldownDefinition | undefined} cooldown
+ * @property {Function[] | undefined} middlewares
+ * @property {string[] | undefined} guilds the ids of the only guilds where the command exists
+ * @property {CommandHooks | undefined} hooks functions called during the bot lifecycle
+ * @property {string | undefined} category the help command section of the command
+ * @property {string[] | undefined} examples usage examples shown by the help command
  * @property {import(Fastify).RouteOptions[] | undefined} apiHandlers
  * @property {DiscordBot} bot
  */
@@ -61,19 +146,32 @@ class Command {
     commandHandler,
     buttonsHandler,
     selectMenusHandler,
+    autocompleteHandler,
+    modalSubmitHandler,
     mentionHandler,
     messageHandler,
     dmHandler,
     isSlashCommand = true,
     isMessageCommand = true,
+    contextMenu = null,
     acceptDM = false,
     requiredRoles = [],
     requireAllRoles = false,
-    requiredRolesErrorMessage = 'You do not have the required roles to use this command.',
+    requiredRolesErrorMessage,
     options = [],
+    subcommands = [],
+    subcommandGroups = [],
     buttonsHandheld = [],
     selectMenusHandheld = [],
+    modalsHandheld = [],
     requiredPermissions = [],
+    requiredBotPermissions = [],
+    cooldown = null,
+    middlewares = [],
+    guilds = [],
+    hooks = {},
+    category = null,
+    examples = [],
     apiRoutes = [],
     bot,
   }) {
@@ -82,35 +180,60 @@ class Command {
      * @param {CommandDefinition}
      */
     this.bot = bot;
-    this.name = name.toLowerCase();
+    this.contextMenu = contextMenu ? String(contextMenu).toLowerCase() : null;
+    // Context menu names are displayed as is in the "Apps" menu
+    this.name = this.contextMenu ? name : name.toLowerCase();
     this.description = description;
     this.commandHandler = commandHandler;
     this.buttonsHandler = buttonsHandler;
     this.selectMenusHandler = selectMenusHandler;
+    this.autocompleteHandler = autocompleteHandler;
+    this.modalSubmitHandler = modalSubmitHandler;
     this.mentionHandler = mentionHandler;
     this.messageHandler = messageHandler;
     this.dmHandler = dmHandler;
-    this.isSlashCommand = isSlashCommand;
-    this.isMessageCommand = isMessageCommand;
+    this.isSlashCommand = this.contextMenu ? false : isSlashCommand;
+    this.isMessageCommand = this.contextMenu ? false : isMessageCommand;
     this.acceptDM = acceptDM;
     this.requiredRoles = requiredRoles;
     this.requireAllRoles = requireAllRoles;
     this.requiredRolesErrorMessage = requiredRolesErrorMessage;
     this.options = options;
+    this.subcommands = subcommands;
+    this.subcommandGroups = subcommandGroups;
     this.buttonsHandheld = buttonsHandheld;
     this.selectMenusHandheld = selectMenusHandheld;
-    this.requiredPermissions = requiredPermissions.reduce((acc, permission) => acc | permission, 0);
+    this.modalsHandheld = modalsHandheld;
+    this.requiredPermissions = requiredPermissions.reduce((acc, permission) => acc | BigInt(permission), 0n);
+    this.requiredBotPermissions = requiredBotPermissions.reduce((acc, permission) => acc | BigInt(permission), 0n);
     this.apiRoutes = apiRoutes;
+    this.cooldown = cooldown ? new Cooldown({ ...cooldown, command: this }) : null;
+    this.middlewares = middlewares;
+    this.guilds = guilds.map(String);
+    this.hooks = hooks;
+    this.category = category;
+    this.examples = examples;
+    this.filePath = null;
+    this._listeners = [];
 
     this._check();
 
-    this._def = new SlashCommandBuilder();
-    this._def.setName(this.name)
-      .setDescription(this.description)
-      .setDMPermission(this.acceptDM)
-      .setDefaultMemberPermissions(this.requiredPermissions);
+    if (this.contextMenu) {
+      this._def = new ContextMenuCommandBuilder();
+      this._def.setName(this.name)
+        .setType(this.contextMenu === 'user' ? ApplicationCommandType.User : ApplicationCommandType.Message)
+        .setDMPermission(this.acceptDM)
+        .setDefaultMemberPermissions(this.requiredPermissions || null);
+    } else {
+      this._def = new SlashCommandBuilder();
+      this._def.setName(this.name)
+        .setDescription(this.description)
+        .setDMPermission(this.acceptDM)
+        .setDefaultMemberPermissions(this.requiredPermissions || null);
 
-    this._addOptions();
+      this._addOptions();
+      this._addSubcommands();
+    }
 
     this._setApiRoot();
 
@@ -119,9 +242,38 @@ class Command {
 
   get def() {
     /**
-     * @type {SlashCommandBuilder}
+     * @type {SlashCommandBuilder | ContextMenuCommandBuilder}
+     */
+    return this._localize(this._def.toJSON(), `commands.${this.name}`);
+  }
+
+  _localize(json, key) {
+    /**
+     * Add the names and descriptions translations found in the bot catalogues (commands.<name>.name,
+     * commands.<name>.description, commands.<name>.options.<option name>.description...).
+     * Localizations declared in the command definition take precedence.
+     * @private
+     * @param json {Object} the command or option JSON definition
+     * @param key {string} the translation key of this command or option
+     * @returns {Object}
      */
-    return this._def.toJSON();
+    const { i18n } = this.bot;
+    if (!i18n) {
+      return json;
+    }
+
+    const names = i18n.localizations(`${key}.name`);
+    const descriptions = i18n.localizations(`${key}.description`);
+    if (names) {
+      json.name_localizations = { ...names, ...json.name_localizations };
+    }
+    if (descriptions && json.description !== undefined) {
+      json.description_localizations = { ...descriptions, ...json.description_localizations };
+    }
+    if (Array.isArray(json.options)) {
+      json.options = json.options.map(option => this._localize(option, `${key}.options.${option.name}`));
+    }
+    return json;
   }
 
   _setApiRoot() {
@@ -146,21 +298,30 @@ class Command {
     if (!this.name) {
       throw new Error(`A command must have a name...`);
     }
-    if (!this.description) {
+    if (this.contextMenu && !['user', 'message'].includes(this.contextMenu)) {
+      throw new Error(`Command ${this.name} contextMenu must be either "user" or "message"`);
+    }
+    if (!this.description && !this.contextMenu) {
       throw new Error(`Command ${this.name} must have a description`);
     }
 
     if (this.buttonsHandheld
       && (
         !Array.isArray(this.buttonsHandheld)
-        || this.buttonsHandheld.filter(button => typeof button !== 'string').length > 0
+        || this.buttonsHandheld.filter(button => typeof button !== 'string' && !(button instanceof RegExp)).length > 0
       )
     ) {
-      this.bot.warn('You must provide an array of buttons names to handle '
+      this.bot.warn('You must provide an array of buttons names or patterns to handle '
         + `(got ${typeof this.buttonsHandheld} instead) in ${this.name}`);
       this.buttonsHandheld = [];
     }
 
+    const unknownHooks = Object.keys(this.hooks).filter(hook => !lifecycleHooks.includes(hook));
+    if (unknownHooks.length > 0) {
+      this.bot.warn(`Unknown hooks ${unknownHooks.join(', ')} in command ${this.name}, `
+        + `should be one of ${lifecycleHooks.join(', ')}`);
+    }
+
     if (this.buttonsHandheld.length > 0 && typeof this.buttonsHandler !== 'function') {
       this.bot.warn('You must provide a buttonsHandler '
         + `function if you want to handle buttons in command ${this.name}`);
@@ -181,10 +342,53 @@ class Command {
       this.bot.warn(`You have to declare which buttons the command "${this.name}" handles`);
     }
 
-    if ((this.isSlashCommand || this.isMessageCommand) && typeof this.commandHandler !== 'function') {
+    if (this.modalsHandheld.length > 0 && typeof this.modalSubmitHandler !== 'function') {
+      this.bot.warn('You must provide a modalSubmitHandler '
+        + `function if you want to handle modals in command ${this.name}`);
+      this.modalsHandheld = [];
+    }
+
+    if (this.modalsHandheld.length === 0 && typeof this.modalSubmitHandler === 'function') {
+      this.bot.warn(`You have to declare which modals the command "${this.name}" handles`);
+    }
+
+    if (this.hasSubcommands && this.options.length > 0) {
+      throw new Error(`Command ${this.name} cannot have both options and subcommands`);
+    }
+
+    const subcommands = this.subcommands.concat(...this.subcommandGroups.map(group => {
+      if (!group.name || !group.description || !Array.isArray(group.subcommands)) {
+        throw new Error(`Subcommand groups must have a name, a description and subcommands in command ${this.name}`);
+      }
+      return group.subcommands;
+    }));
+
+    subcommands.forEach(sub => {
+      if (!sub.name || !sub.description) {
+        throw new Error(`Subcommands must have a name and a description in command ${this.name}`);
+      }
+    });
+
+    const everySubcommandIsHandled = this.hasSubcommands
+      && subcommands.every(sub => typeof sub.commandHandler === 'function');
+
+    if ((this.isSlashCommand || this.isMessageCommand || this.contextMenu)
+      && typeof this.commandHandler !== 'function'
+      && !everySubcommandIsHandled) {
       this.bot.warn(`The "${this.name}" command must have a commandHandler function`);
     }
 
+    const autocompleteHandlers = [this.autocompleteHandler, ...subcommands.map(sub => sub.autocompleteHandler)];
+    if (autocompleteHandlers.some(handler => handler && typeof handler !== 'function')) {
+      throw new Error(`In "${this.name}" autocompleteHandler must be a function`);
+    }
+
+    const hasAutocompleteOptions = this.options.concat(...subcommands.map(sub => sub.options || []))
+      .some(opt => opt.autocomplete);
+    if (hasAutocompleteOptions && !autocompleteHandlers.some(handler => typeof handler === 'function')) {
+      this.bot.warn(`The "${this.name}" command has autocomplete options but no autocompleteHandler function`);
+    }
+
     if (this.mentionHandler && typeof this.mentionHandler !== 'function') {
       this.bot.warn(`In "${this.name}" mentionHandler must be a function`);
       this.mentionHandler = undefined;
@@ -195,18 +399,31 @@ class Command {
       this.messageHandler = undefined;
     }
 
+    if (!Array.isArray(this.middlewares) || this.middlewares.some(middleware => typeof middleware !== 'function')) {
+      throw new Error(`In "${this.name}" middlewares must be an array of functions`);
+    }
+
     if (this.dmHandler && typeof this.dmHandler !== 'function') {
       this.bot.warn(`In "${this.name}" dmHandler must be a function`);
       this.dmHandler = undefined;
     }
   }
 
-  _addOptions() {
+  get hasSubcommands() {
+    /**
+     * @type {boolean}
+     */
+    return this.subcommands.length > 0 || this.subcommandGroups.length > 0;
+  }
+
+  _addOptions(target = this._def, options = this.options) {
     /**
      * @private
+     * @param target {SlashCommandBuilder | SlashCommandSubcommandBuilder} the builder to add the options to
+     * @param options {Option[]} the options to add
      * @throws
      */
-    this.options.forEach(opt => {
+    options.forEach(opt => {
       if (!this.isSlashCommand) {
         return;
       }
@@ -218,52 +435,60 @@ class Command {
         throw new Error(`Option ${opt} must have a description in command ${this.name}`);
       }
 
-      const builder = option => option
-        .setName(opt.name)
-        .setDescription(opt.description)
-        .setRequired(opt.required || false);
+      const builder = option => {
+        option
+          .setName(opt.name)
+          .setDescription(opt.description)
+          .setRequired(opt.required || false);
 
-      if (opt.nameLocalized) {
-        builder.setNameLocalizations(opt.nameLocalized);
-      }
+        if (opt.nameLocalized) {
+          option.setNameLocalizations(opt.nameLocalized);
+        }
 
-      if (opt.descriptionLocalized) {
-        builder.setDescriptionLocalizations(opt.descriptionLocalized);
-      }
+        if (opt.descriptionLocalized) {
+          option.setDescriptionLocalizations(opt.descriptionLocalized);
+        }
 
-      if (opt.choices) {
-        builder.addChoices(opt.choices);
-      }
+        if (opt.choices) {
+          option.addChoices(...opt.choices);
+        }
+
+        if (opt.autocomplete) {
+          option.setAutocomplete(true);
+        }
+
+        return option;
+      };
 
       switch (String(opt.type).toLowerCase()) {
         case 'attachment':
-          this._def.addAttachmentOption(builder);
+          target.addAttachmentOption(builder);
           break;
         case 'boolean':
-          this._def.addBooleanOption(builder);
+          target.addBooleanOption(builder);
           break;
         case 'channel':
-          this._def.addChannelOption(builder);
+          target.addChannelOption(builder);
           break;
         case 'integer':
-          this._def.addIntegerOption(builder);
+          target.addIntegerOption(builder);
           break;
         case 'number':
         case 'decimal':
-          this._def.addNumberOption(builder);
+          target.addNumberOption(builder);
           break;
         case 'mentionable':
-          this._def.addMentionableOption(builder);
+          target.addMentionableOption(builder);
           break;
         case 'string':
-          this._def.addStringOption(builder);
+          target.addStringOption(builder);
           break;
         case 'member':
         case 'user':
-          this._def.addUserOption(builder);
+          target.addUserOption(builder);
           break;
         case 'role':
-          this._def.addRoleOption(builder);
+          target.addRoleOption(builder);
           break;
         default:
           throw new Error(`Unknown option type while declaring command ${this.name}`);
@@ -271,60 +496,278 @@ class Command {
     });
   }
 
-  _injectOptions(interaction) {
+  _addSubcommands() {
+    /**
+     * Add the subcommands and subcommand groups to the slash command definition
+     * @private
+     * @throws
+     */
+    if (!this.isSlashCommand) {
+      return;
+    }
+
+    const describe = (builder, def) => {
+      builder.setName(def.name).setDescription(def.description);
+      if (def.nameLocalized) {
+        builder.setNameLocalizations(def.nameLocalized);
+      }
+      if (def.descriptionLocalized) {
+        builder.setDescriptionLocalizations(def.descriptionLocalized);
+      }
+      return builder;
+    };
+
+    const subcommandBuilder = sub => subcommand => {
+      describe(subcommand, sub);
+      this._addOptions(subcommand, sub.options || []);
+      return subcommand;
+    };
+
+    this.subcommandGroups.forEach(group => {
+      this._def.addSubcommandGroup(subcommandGroup => {
+        describe(subcommandGroup, group);
+        group.subcommands.forEach(sub => subcommandGroup.addSubcommand(subcommandBuilder(sub)));
+        return subcommandGroup;
+      });
+    });
+
+    this.subcommands.forEach(sub => this._def.addSubcommand(subcommandBuilder(sub)));
+  }
+
+  _findSubcommand(groupName, subcommandName) {
+    /**
+     * @private
+     * @param groupName {string | null} the subcommand group name
+     * @param subcommandName {string | null} the subcommand name
+     * @returns {Subcommand | undefined}
+     */
+    if (!subcommandName) {
+      return undefined;
+    }
+    if (groupName) {
+      const group = this.subcommandGroups.find(g => g.name === groupName);
+      return group ? group.subcommands.find(s => s.name === subcommandName) : undefined;
+    }
+    return this.subcommands.find(s => s.name === subcommandName);
+  }
+
+  _resolveMessageSubcommand(interaction) {
+    /**
+     * Find the subcommand group and subcommand from a prefixed message content (eg: "!sound play foo")
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @returns {Subcommand | undefined}
+     */
+    const [first, second] = interaction.commandArgs;
+    if (!first) {
+      return undefined;
+    }
+
+    const group = this.subcommandGroups.find(g => g.name === first.toLowerCase());
+    if (group && second) {
+      const subcommand = this._findSubcommand(group.name, second.toLowerCase());
+      if (subcommand) {
+        interaction.injectSubcommand({ subcommandGroup: group.name, subcommand: subcommand.name });
+      }
+      return subcommand;
+    }
+
+    const subcommand = this._findSubcommand(null, first.toLowerCase());
+    if (subcommand) {
+      interaction.injectSubcommand({ subcommandGroup: null, subcommand: subcommand.name });
+    }
+    return subcommand;
+  }
+
+  _resolveSlashSubcommand(interaction) {
+    /**
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @returns {Subcommand | undefined}
+     */
+    if (!this.hasSubcommands) {
+      return undefined;
+    }
+
+    const { options } = interaction.originalObject;
+    const subcommandGroup = options.getSubcommandGroup(false);
+    const subcommand = options.getSubcommand(false);
+    interaction.injectSubcommand({ subcommandGroup, subcommand });
+    return this._findSubcommand(subcommandGroup, subcommand);
+  }
+
+  _getHandler(subcommand, handlerName = 'commandHandler') {
+    /**
+     * @private
+     * @param subcommand {Subcommand | undefined}
+     * @param handlerName {string} the handler to get (commandHandler or autocompleteHandler)
+     * @returns {Function}
+     */
+    if (subcommand && typeof subcommand[handlerName] === 'function') {
+      return subcommand[handlerName];
+    }
+    return this[handlerName];
+  }
+
+  _injectOptions(interaction, options = this.options) {
     /**
      * @private
      * @param {UnifiedInteraction} interaction
+     * @param {Option[]} options the options to read from the interaction
      * @returns {Object.<string,Option>}
      */
 
-     const values = {};
-
-     this.options.forEach(opt => {
-       switch (String(opt.type).toLowerCase()) {
-         case 'attachment':
-           values[opt.name] = interaction.originalObject.options.getAttachment(opt.name);
-           break;
-         case 'boolean':
-           values[opt.name] = Boolean(interaction.originalObject.options.getBoolean(opt.name));
-           break;
-         case 'channel':
-           values[opt.name] = interaction.originalObject.options.getChannel(opt.name);
-           break;
-         case 'integer':
-           values[opt.name] = parseInt(interaction.originalObject.options.getInteger(opt.name));
-           break;
-         case 'number':
-         case 'decimal':
-           values[opt.name] = parseFloat(interaction.originalObject.options.getNumber(opt.name));
-           break;
-         case 'mentionable':
-           values[opt.name] = interaction.originalObject.options.getMentionable(opt.name);
-           break;
-         case 'string':
-           values[opt.name] = String(interaction.originalObject.options.getString(opt.name));
-           break;
-         case 'member':
-           values[opt.name] = new User({
-               member: interaction.originalObject.options.getMember(opt.name),
-               guild: interaction.originalObject.guild },
-             );
-             break;
-         case 'user':
-           values[opt.name] = new User({
-               user: interaction.originalObject.options.getUser(opt.name),
-               guild: interaction.originalObject.guild },
-             );
-             break;
-         case 'role':
-           values[opt.name] = interaction.originalObject.options.getRole(opt.name);
-           break;
-         default:
-           // Do nothing
-       }
-     });
-
-     interaction.injectOptions(values);
+    const values = {};
+    const nullable = (value, cast) => (value === null || value === undefined ? null : cast(value));
+
+    options.forEach(opt => {
+      switch (String(opt.type).toLowerCase()) {
+        case 'attachment':
+          values[opt.name] = interaction.originalObject.options.getAttachment(opt.name);
+          break;
+        case 'boolean':
+          values[opt.name] = Boolean(interaction.originalObject.options.getBoolean(opt.name));
+          break;
+        case 'channel':
+          values[opt.name] = interaction.originalObject.options.getChannel(opt.name);
+          break;
+        case 'integer':
+          values[opt.name] = nullable(interaction.originalObject.options.getInteger(opt.name), parseInt);
+          break;
+        case 'number':
+        case 'decimal':
+          values[opt.name] = nullable(interaction.originalObject.options.getNumber(opt.name), parseFloat);
+          break;
+        case 'mentionable':
+          values[opt.name] = interaction.originalObject.options.getMentionable(opt.name);
+          break;
+        case 'string':
+          values[opt.name] = nullable(interaction.originalObject.options.getString(opt.name), String);
+          break;
+        case 'member':
+          values[opt.name] = new User({
+            member: interaction.originalObject.options.getMember(opt.name),
+            guild: interaction.originalObject.guild },
+          );
+          break;
+        case 'user':
+          values[opt.name] = new User({
+            user: interaction.originalObject.options.getUser(opt.name),
+            guild: interaction.originalObject.guild },
+          );
+          break;
+        case 'role':
+          values[opt.name] = interaction.originalObject.options.getRole(opt.name);
+          break;
+        default:
+          // Do nothing
+      }
+    });
+
+    interaction.injectOptions(values);
+  }
+
+  _messageUsage(interaction, subcommand) {
+    /**
+     * The usage of the subcommand found in the message, or of every subcommand when none was found
+     * @private
+     * @param interaction {UnifiedInteraction}
+     * @param subcommand {Subcommand | undefined}
+     * @returns {string} the translated usage
+     */
+    if (subcommand || !this.hasSubcommands) {
+      return interaction.t('bot.usage', { usage: this.usage(interaction.prefix, subcommand) });
+    }
+    return interaction.t('bot.usages', { usages: this.usages(interaction.prefix).map(usage => `\`${usage}\``).join('\n') });
+  }
+
+  usages(prefix) {
+    /**
+     * The usage lines of the command: one per subcommand, the command itself included when it has a handler
+     * @param prefix {string} the message commands prefix, or "/" for the slash command
+     * @returns {string[]}
+     */
+    if (!this.hasSubcommands) {
+      return [this.usage(prefix)];
+    }
+    const subcommands = [...this.subcommands, ...this.subcommandGroups.flatMap(group => group.subcommands)];
+    return [
+      ...typeof this.commandHandler === 'function' ? [this.usage(prefix)] : [],
+      ...subcommands.map(subcommand => this.usage(prefix, subcommand)),
+    ];
+  }
+
+  usage(prefix, subcommand = undefined) {
+    /**
+     * A usage line like "!sound play <name:string> [volume:number]"
+     * @param prefix {string} the message commands prefix, or "/" for the slash command
+     * @param subcommand {Subcommand | undefined}
+     * @returns {string}
+     */
+    const path = [`${prefix}${this.name}`];
+    if (subcommand) {
+      const group = this.subcommandGroups.find(g => g.subcommands.includes(subcommand));
+      if (group) {
+        path.push(group.name);
+      }
+      path.push(subcommand.name);
+    }
+    return buildUsage(path.join(' '), subcommand ? subcommand.options || [] : this.options);
+  }
+
+  async _injectMessageOptions(interaction, subcommand) {
+    /**
+     * Parse a prefixed message command content using the command (or subcommand) options
+     * @private
+     * @param interaction {UnifiedInteraction}
+     * @param subcommand {Subcommand | undefined}
+     * @returns {Promise<void>}
+     * @throws {Error} when an argument is missing or invalid
+     */
+    if (this.hasSubcommands && !subcommand && typeof this.commandHandler !== 'function') {
+      throw missingSubcommandError(this.subcommands.map(s => s.name).concat(this.subcommandGroups.map(g => g.name)));
+    }
+
+    const consumed = [interaction.subcommandGroup, interaction.subcommand].filter(Boolean).length;
+    const options = subcommand ? subcommand.options || [] : this.options;
+    const values = await parseMessageArgs(interaction.commandArgs.slice(consumed), options, interaction);
+    interaction.injectOptions(values);
+  }
+
+  _on(eventName, listener) {
+    /**
+     * Listen to a bot event, keeping track of the listener so it can be removed
+     * @private
+     * @param eventName {string}
+     * @param listener {Function}
+     */
+    const { bot } = this;
+    const tracked = (...args) => bot._trackHandler(listener(...args));
+    this._listeners.push([eventName, tracked]);
+    bot.on(eventName, tracked);
+  }
+
+  async runHook(hookName) {
+    /**
+     * Call one of the lifecycle hooks declared in the command definition
+     * @param hookName {'beforeStart' | 'ready' | 'beforeStop' | 'stopped'}
+     * @returns {Promise<void>}
+     * @throws
+     */
+    if (typeof this.hooks[hookName] !== 'function') {
+      return;
+    }
+    this.bot.debug(`Running the ${hookName} hook of command "${this.name}"`);
+    await this.hooks[hookName](this.bot, this);
+  }
+
+  destroy() {
+    /**
+     * Stop listening to the bot events
+     * @returns {void}
+     */
+    this._listeners.forEach(([eventName, listener]) => this.bot.off(eventName, listener));
+    this._listeners = [];
   }
 
   _listen() {
@@ -335,8 +778,9 @@ class Command {
     let listening = false;
 
     if (this.buttonsHandheld.length > 0) {
+      listening = true;
       this.buttonsHandheld.forEach(buttonId => {
-        this.bot.on(`button:${buttonId}`,
+        this._on(`button:${componentRouteKey(buttonId)}`,
           interaction => this._listenerWrapper(
             'Button handler', interaction, this.buttonsHandler, `via button: "${buttonId}"`,
           ));
@@ -344,54 +788,82 @@ class Command {
     }
 
     if (this.selectMenusHandheld.length > 0) {
+      listening = true;
       this.selectMenusHandheld.forEach(selectMenuId => {
-        this.bot.on(`selectMenu:${selectMenuId}`,
+        this._on(`selectMenu:${componentRouteKey(selectMenuId)}`,
           interaction => this._listenerWrapper(
             'Select menu handler', interaction, this.selectMenusHandler, `via menu: "${selectMenuId}"`,
           ));
       });
     }
 
+    if (this.modalsHandheld.length > 0) {
+      listening = true;
+      this.modalsHandheld.forEach(modalId => {
+        this._on(`modalSubmit:${modalId}`,
+          interaction => this._listenerWrapper(
+            'Modal submit handler', interaction, this.modalSubmitHandler, `via modal: "${modalId}"`,
+          ));
+      });
+    }
+
     if (this.isSlashCommand) {
       listening = true;
-      this.bot.on(`slashCommand:${this.name}`,
+      this._on(`slashCommand:${this.name}`,
         interaction => {
           const comment = `${interaction.isDM ?
             'in DM' : `in channel ${interaction.guild.name}/${interaction.channel.name}`}`;
-          this._injectOptions(interaction);
-          return this._listenerWrapper('Slash Command', interaction, this.commandHandler, comment);
+          const subcommand = this._resolveSlashSubcommand(interaction);
+          this._injectOptions(interaction, subcommand ? subcommand.options || [] : this.options);
+          return this._listenerWrapper('Slash Command', interaction, this._getHandler(subcommand), comment);
         });
     }
 
+    if (this.isSlashCommand) {
+      this._on(`autocomplete:${this.name}`,
+        interaction => this._autocompleteListener(interaction));
+    }
+
     if (this.isMessageCommand) {
       listening = true;
-      this.bot.on(`messageCommand:${this.name}`,
+      this._on(`messageCommand:${this.name}`,
         interaction => {
           const comment = `${interaction.isDM ?
             'in DM' : `in channel ${interaction.guild.name}/${interaction.channel.name}`}`;
+          const subcommand = this._resolveMessageSubcommand(interaction);
+          // The arguments are parsed in the pipeline, the usage is only told to the users allowed to use the command
           return this._listenerWrapper(
-            'Message Command', interaction, this.commandHandler, comment,
+            'Message Command', interaction, this._getHandler(subcommand), comment,
+            (i, next) => this._messageOptionsMiddleware(i, next, subcommand),
           );
         });
     }
 
+    if (this.contextMenu) {
+      listening = true;
+      this._on(`${this.contextMenu}ContextMenu:${this.name}`,
+        interaction => this._listenerWrapper(
+          `${this.contextMenu === 'user' ? 'User' : 'Message'} context menu`, interaction, this.commandHandler, '',
+        ));
+    }
+
     if (typeof this.messageHandler === 'function') {
       listening = true;
-      this.bot.on('message', interaction => this._listenerWrapper(
+      this._on('message', interaction => this._listenerWrapper(
         'Message Handler', interaction, this.messageHandler, 'via message',
       ));
     }
 
     if (typeof this.mentionHandler === 'function') {
       listening = true;
-      this.bot.on('mention', interaction => this._listenerWrapper(
+      this._on('mention', interaction => this._listenerWrapper(
         'Mention Handler', interaction, this.mentionHandler, 'via message',
       ));
     }
 
     if (typeof this.dmHandler === 'function') {
       listening = true;
-      this.bot.on('directMessage', interaction => this._listenerWrapper(
+      this._on('directMessage', interaction => this._listenerWrapper(
         'DM Handler', interaction, this.dmHandler, '',
       ));
     }
@@ -406,34 +878,262 @@ class Command {
     }
   }
 
-  _listenerWrapper(eventType, interaction, handler, comment) {
+  async _listenerWrapper(eventType, interaction, handler, comment, optionsMiddleware = null) {
   /**
    * @private
    * @param eventType {string} Event name
    * @param interaction {UnifiedInteraction} the interaction
    * @param handler {Function} the command handler
    * @param comment {String} comment to add to the log
+   * @param optionsMiddleware {Function | null} reads the options, once the user is allowed to use the command
    * @returns {Promise<void>}
    */
+    if (this._isOutsideGuilds(interaction)) {
+      this.bot.debug(`Command "${this.name}" does not exist outside of its guilds, ignoring`);
+      return undefined;
+    }
+
     this.bot.info(`${eventType} "${this.name}" triggered by <@${interaction.author.userId}> `
       + `${comment} (id: ${interaction.originalObject.id})`);
-    if (!this._checkRequiredRoles(interaction)) {
+
+    interaction.handledBy = { command: this.name, type: eventType };
+
+    // The users not allowed to use the command are rejected before the message arguments are parsed,
+    // which happens before the middlewares so they get the options whatever the entry point
+    const pipeline = compose([
+      (i, next) => this._permissionsMiddleware(i, next, eventType),
+      (i, next) => this._requiredRolesMiddleware(i, next),
+      ...(optionsMiddleware ? [optionsMiddleware] : []),
+      ...this.bot.middlewares,
+      ...this.middlewares,
+      (i, next) => this._sessionMiddleware(i, next),
+      (i, next) => this._cooldownMiddleware(i, next, eventType),
+    ], handler);
+
+    try {
+      return await pipeline(interaction);
+    } catch (e) {
+      this.bot.error('Error while executing command', this.name, e.message);
+      this.bot.error('Interaction Object:', interaction);
+      this.bot.error(e);
+      return interaction.reply({
+        content: interaction.t('bot.commandError'),
+        ephemeral: true,
+      });
+    }
+  }
+
+  _isOutsideGuilds(interaction) {
+    /**
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @returns {boolean} whether the command is restricted to some guilds and the interaction is not in one of them
+     */
+    return this.guilds.length > 0 && !(interaction.guild && this.guilds.includes(interaction.guild.id));
+  }
+
+  _permissionsMiddleware(interaction, next, eventType) {
+    /**
+     * Check acceptDM, the user permissions and the bot permissions, whatever the way the command is triggered
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @param next {Function} the next middleware
+     * @param eventType {string} Event name
+     * @returns {Promise<void>}
+     */
+    if (passiveHandlers.has(eventType)) {
+      return next();
+    }
+
+    if (interaction.isDM) {
+      if (!this.acceptDM) {
+        return interaction.reply({ content: interaction.t('bot.dmNotAllowed'), ephemeral: true });
+      }
+      return next();
+    }
+
+    const { member } = interaction.author;
+    const missing = missingPermissions(this.requiredPermissions, member ? member.permissions : null);
+    if (missing.length > 0) {
+      this.bot.info(`<@${interaction.author.userId}> is missing ${missing.join(', ')} to use command "${this.name}"`);
       return interaction.reply({
-        content: this.requiredRolesErrorMessage,
+        content: interaction.t('bot.missingPermissions', { permissions: permissionsList(interaction, missing) }),
         ephemeral: true,
       });
     }
+
+    const botMissing = this._missingBotPermissions(interaction);
+    if (botMissing.length > 0) {
+      this.bot.warn(`The bot is missing ${botMissing.join(', ')} to run command "${this.name}" `
+        + `in guild "${interaction.guild.name}"`);
+      return interaction.reply({
+        content: interaction.t('bot.missingBotPermissions', { permissions: permissionsList(interaction, botMissing) }),
+        ephemeral: true,
+      });
+    }
+
+    return next();
+  }
+
+  async _messageOptionsMiddleware(interaction, next, subcommand) {
+    /**
+     * Parse the arguments of a message command, replying with the usage when they are invalid
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @param next {Function} the next middleware
+     * @param subcommand {Subcommand | undefined} the subcommand found in the message
+     * @returns {Promise<void>}
+     */
     try {
-      return handler(interaction);
+      await this._injectMessageOptions(interaction, subcommand);
     } catch (e) {
-      this.bot.error('Error while executing command', this.name, e.message);
-      this.bot.error('Interaction Object:', interaction);
-      this.bot.error(e);
+      const error = e.key ? interaction.t(e.key, e.vars) : e.message;
       return interaction.reply({
-        content: 'An error occurred while executing the command',
+        content: `${error}\n${this._messageUsage(interaction, subcommand)}`,
         ephemeral: true,
       });
     }
+    return next();
+  }
+
+  async _sessionMiddleware(interaction, next) {
+    /**
+     * Load the session of a button or a select menu, if the user may use it and it has not expired
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @param next {Function} the next middleware
+     * @returns {Promise<void>}
+     */
+    const { sessionId } = interaction;
+    if (!sessionId) {
+      return next();
+    }
+
+    const session = await this.bot.sessions.load(sessionId);
+    if (!session) {
+      this.bot.debug(`Session ${sessionId} has expired`);
+      const { message } = interaction.originalObject;
+      if (message && message.components) {
+        await interaction.update({ components: disableComponents(message.components, sessionId) });
+      }
+      return interaction.followUp({ content: interaction.t('bot.sessionExpired'), ephemeral: true });
+    }
+
+    if (!session.isAllowed(interaction)) {
+      return interaction.reply({ content: interaction.t('bot.sessionNotAllowed'), ephemeral: true });
+    }
+
+    interaction.session = session;
+    return next();
+  }
+
+  _missingBotPermissions(interaction) {
+    /**
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @returns {string[]} the names of the permissions the bot is missing
+     */
+    const me = interaction.guild.members.me;
+    if (!this.requiredBotPermissions || !me) {
+      return [];
+    }
+
+    const voiceChannel = interaction.author.voice ? interaction.author.voice.channel : null;
+    const required = new PermissionsBitField(this.requiredBotPermissions);
+    const inVoice = voiceChannel ? required.bitfield & voicePermissions : 0n;
+    const inChannel = required.bitfield & ~inVoice;
+
+    const channelPermissions = interaction.channel && typeof interaction.channel.permissionsFor === 'function'
+      ? interaction.channel.permissionsFor(me)
+      : me.permissions;
+    return [
+      ...missingPermissions(inChannel, channelPermissions),
+      ...missingPermissions(inVoice, voiceChannel ? voiceChannel.permissionsFor(me) : null),
+    ];
+  }
+
+  _requiredRolesMiddleware(interaction, next) {
+    /**
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @param next {Function} the next middleware
+     * @returns {Promise<void>}
+     */
+    if (!this._checkRequiredRoles(interaction)) {
+      return interaction.reply({
+        content: this.requiredRolesErrorMessage || interaction.t('bot.requiredRoles'),
+        ephemeral: true,
+      });
+    }
+    return next();
+  }
+
+  async _cooldownMiddleware(interaction, next, eventType) {
+    /**
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @param next {Function} the next middleware
+     * @param eventType {string} Event name
+     * @returns {Promise<void>}
+     */
+    if (this.cooldown && !passiveHandlers.has(eventType)) {
+      const remaining = await this.cooldown.consume(interaction, componentsEntryPoints[eventType] || 'command');
+      if (remaining > 0) {
+        this.bot.info(`Command "${this.name}" is in cooldown for <@${interaction.author.userId}> (${remaining}s left)`);
+        return interaction.reply({
+          content: this.cooldown.formatMessage(remaining, interaction),
+          ephemeral: true,
+        });
+      }
+    }
+    return next();
+  }
+
+  async _autocompleteListener(interaction) {
+    /**
+     * Autocomplete interactions cannot be replied to, they only accept choices
+     * @private
+     * @param interaction {UnifiedInteraction} the interaction
+     * @returns {Promise<void>}
+     */
+    const subcommand = this._resolveSlashSubcommand(interaction);
+    const handler = this._getHandler(subcommand, 'autocompleteHandler');
+    const { focusedOption } = interaction;
+
+    this.bot.debug(`Autocomplete "${this.name}" triggered by <@${interaction.author.userId}> `
+      + `for option "${focusedOption.name}" (id: ${interaction.originalObject.id})`);
+
+    if (typeof handler !== 'function' || !this._checkRequiredRoles(interaction)) {
+      return interaction.respond([]);
+    }
+
+    try {
+      return await handler(interaction, focusedOption);
+    } catch (e) {
+      this.bot.error('Error while autocompleting command', this.name, e.message);
+      this.bot.error(e);
+      return interaction.respond([]);
+    }
+  }
+
+  isAllowedFor(interaction) {
+    /**
+     * Whether the interaction author can use this command where the interaction happens,
+     * according to acceptDM, guilds, requiredRoles and requiredPermissions
+     * @param interaction {UnifiedInteraction} the interaction
+     * @returns {Boolean}
+     */
+    if (interaction.isDM) {
+      return this.acceptDM && this.guilds.length === 0 && this._checkRequiredRoles(interaction);
+    }
+    if (this.guilds.length > 0 && !this.guilds.includes(interaction.guild.id)) {
+      return false;
+    }
+    const { member } = interaction.author;
+    if (this.requiredPermissions && !(member && member.permissions.has(this.requiredPermissions))) {
+      return false;
+    }
+    return this._checkRequiredRoles(interaction);
   }
 
   _checkRequiredRoles(interaction) {
@@ -0,0 +1,174 @@
+import { randomBytes } from 'node:crypto';
+import { withSessionId } from './utils/componentIds.js';
+
+const restrictTo = (restriction, ownerId) => {
+  /**
+   * @param restriction {'author' | 'anyone' | {users: string[] | undefined, roles: string[] | undefined}}
+   * @param ownerId {string | null} the id of the user who created the session
+   * @returns {{users: string[], roles: string[]} | null} null when anyone may use the components
+   */
+  if (restriction === 'anyone' || restriction === null) {
+    return null;
+  }
+  if (restriction === 'author' || restriction === undefined) {
+    return { users: ownerId ? [ownerId] : [], roles: [] };
+  }
+  if (typeof restriction !== 'object') {
+    throw new Error(`A session must be restricted to "author", "anyone" or { users, roles } (got ${restriction})`);
+  }
+  return { users: restriction.users || [], roles: restriction.roles || [] };
+};
+
+class ComponentSession {
+  constructor({
+    bot,
+    id = randomBytes(6).toString('base64url'),
+    commandName = null,
+    ownerId = null,
+    restriction = 'author',
+    state = {},
+    expires,
+    channelId = null,
+    messageId = null,
+  }) {
+    /**
+     * Server side state attached to the components of a message, kept in the bot storage until it expires
+     * @param bot {DiscordBot} the bot
+     * @param id {string} the session id, added to the custom ids of its components
+     * @param commandName {string | null} the command which created the session
+     * @param ownerId {string | null} the id of the user who created the session
+     * @param restriction {'author' | 'anyone' | {users: string[], roles: string[]}} who may use the components
+     * @param state {any} a JSON serializable state
+     * @param expires {number} the timestamp after which the components are disabled
+     * @param channelId {string | null} the channel of the message holding the components, once attached
+     * @param messageId {string | null} the message holding the components, once attached
+     */
+    this.bot = bot;
+    this.id = id;
+    this.commandName = commandName;
+    this.ownerId = ownerId;
+    this.restriction = restrictTo(restriction, ownerId);
+    this.state = state;
+    this.expires = expires;
+    this.channelId = channelId;
+    this.messageId = messageId;
+
+    this.message = null;
+  }
+
+  get ttl() {
+    /**
+     * @returns {number} the milliseconds before the session expires
+     */
+    return Math.max(0, this.expires - Date.now());
+  }
+
+  get isExpired() {
+    /**
+     * @returns {boolean}
+     */
+    return this.ttl === 0;
+  }
+
+  customId(componentId) {
+    /**
+     * @param componentId {string} a handheld button or select menu id
+     * @returns {string} the custom id to give to the component so it belongs to this session
+     * @throws if the id is too long for Discord
+     */
+    return withSessionId(componentId, this.id);
+  }
+
+  components(rows) {
+    /**
+     * Make the buttons and select menus of action rows belong to this session
+     * @param rows {ActionRowBuilder[]} the rows, from the menus builders for instance
+     * @returns {ActionRowBuilder[]} the same rows
+     * @throws if an id is too long for Discord
+     */
+    rows.forEach(row => row.components.forEach(component => {
+      // Link buttons have no custom id
+      if (component.data.custom_id) {
+        component.setCustomId(this.customId(component.data.custom_id));
+      }
+    }));
+    return rows;
+  }
+
+  isAllowed(interaction) {
+    /**
+     * @param interaction {UnifiedInteraction}
+     * @returns {boolean} whether the author of the interaction may use the components
+     */
+    if (!this.restriction) {
+      return true;
+    }
+    const { users, roles } = this.restriction;
+    return users.includes(interaction.author.userId) || (roles.length > 0 && interaction.author.hasOneOfRoles(roles));
+  }
+
+  async save(state = this.state) {
+    /**
+     * Store the state, the expiry does not change
+     * @param state {any} the new state (default: the current one, after mutating it)
+     * @returns {Promise<void>}
+     * @throws
+     */
+    this.state = state;
+    if (this.isExpired) {
+      return;
+    }
+    await this.bot.sessions.storage.set(this.id, this.toJSON(), this.ttl);
+  }
+
+  async attach(replied) {
+    /**
+     * Remember which message holds the components, to disable them when the session expires
+     * @param replied {UnifiedInteraction | import('discord.js').Message} the interaction which has replied
+     * with the components, or the message holding them
+     * @returns {Promise<void>}
+     * @throws
+     */
+    let message = replied;
+    if (replied && replied.originalObject) {
+      const { originalObject } = replied;
+      message = replied.replyMessage
+        || (typeof originalObject.fetchReply === 'function' ? await originalObject.fetchReply() : null);
+    }
+    if (!message || !message.id) {
+      throw new Error(`Unable to find the message of session ${this.id}`);
+    }
+
+    this.message = message;
+    this.messageId = message.id;
+    this.channelId = message.channelId || (message.channel ? message.channel.id : null);
+    await this.save();
+    this.bot.sessions.schedule(this);
+  }
+
+  end() {
+    /**
+     * Expire the session now, disabling its components
+     * @returns {Promise<void>}
+     */
+    return this.bot.sessions.expire(this);
+  }
+
+  toJSON() {
+    /**
+     * @returns {Object} what is stored
+     */
+    return {
+      id: this.id,
+      commandName: this.commandName,
+      ownerId: this.ownerId,
+      restriction: this.restriction || 'anyone',
+      state: this.state,
+      expires: this.expires,
+      channelId: this.channelId,
+      messageId: this.messageId,
+    };
+  }
+}
+
+export default ComponentSession;
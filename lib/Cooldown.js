@@ -0,0 +1,193 @@
+const scopes = new Set(['user', 'channel', 'guild', 'global']);
+
+// The slash, message and context menu commands are the 'command' entry point
+const entryPointsNames = new Set(['command', 'button', 'selectMenu', 'modal']);
+
+/**
+ * @typedef CooldownDefinition
+ * @property {number} duration the window duration in seconds
+ * @property {'user' | 'channel' | 'guild' | 'global' | undefined} scope who shares the same cooldown (default: user)
+ * @property {number | undefined} uses how many uses are allowed during the window (default: 1)
+ * @property {string[] | undefined} bypassRoles the roles ignoring the cooldown
+ * @property {string | undefined} message the reply to send when in cooldown, {remaining} is replaced by the seconds left
+ * (default: the bot.cooldown translation)
+ * @property {boolean | undefined} persistent whether the cooldowns are kept in the bot persistent storage
+ * @property {Array<'command' | 'button' | 'selectMenu' | 'modal'> | undefined} entryPoints the limited entry points,
+ * each one having its own window (default: ['command'])
+ */
+
+class Cooldown {
+  constructor({
+    duration,
+    scope = 'user',
+    uses = 1,
+    bypassRoles = [],
+    message,
+    persistent = false,
+    entryPoints = ['command'],
+    command,
+  }) {
+    /**
+     * Limit how often a command can be used
+     * @param {CooldownDefinition}
+     * @param command {Command} the command to limit
+     */
+    this.command = command;
+    this.bot = command.bot;
+    this.duration = Number(duration) * 1000;
+    this.scope = String(scope).toLowerCase();
+    this.uses = Math.max(1, parseInt(uses, 10) || 1);
+    this.bypassRoles = bypassRoles;
+    this.message = message;
+    this.persistent = persistent;
+    this.entryPoints = new Set(entryPoints);
+
+    this.timestamps = new Map();
+
+    if (!this.duration || this.duration < 0) {
+      throw new Error(`Command ${command.name} cooldown must have a positive duration`);
+    }
+    if (!scopes.has(this.scope)) {
+      throw new Error(`Command ${command.name} cooldown scope must be one of ${Array.from(scopes).join(', ')}`);
+    }
+    const unknown = Array.from(this.entryPoints).filter(entryPoint => !entryPointsNames.has(entryPoint));
+    if (unknown.length > 0) {
+      throw new Error(`Command ${command.name} cooldown entry points must be some of `
+        + `${Array.from(entryPointsNames).join(', ')} (got ${unknown.join(', ')})`);
+    }
+  }
+
+  get storage() {
+    /**
+     * @returns {import('keyv') | null}
+     */
+    return this.persistent && this.bot.persistentStorage ? this.bot.persistentStorage : null;
+  }
+
+  covers(entryPoint) {
+    /**
+     * @param entryPoint {'command' | 'button' | 'selectMenu' | 'modal'}
+     * @returns {boolean} whether the uses of this entry point are limited
+     */
+    return this.entryPoints.has(entryPoint);
+  }
+
+  _key(interaction, entryPoint) {
+    /**
+     * @private
+     * @param interaction {UnifiedInteraction}
+     * @param entryPoint {string}
+     * @returns {string}
+     */
+    let id;
+    switch (this.scope) {
+      case 'channel':
+        id = interaction.channel ? interaction.channel.id : interaction.author.userId;
+        break;
+      case 'guild':
+        id = interaction.guild ? interaction.guild.id : `dm-${interaction.author.userId}`;
+        break;
+      case 'global':
+        id = 'global';
+        break;
+      default:
+        id = interaction.author.userId;
+    }
+    return `cooldown:${this.command.name}:${entryPoint}:${this.scope}:${id}`;
+  }
+
+  async _getTimestamps(key) {
+    /**
+     * @private
+     * @param key {string}
+     * @returns {Promise<number[]>}
+     */
+    const timestamps = this.storage ? await this.storage.get(key) : this.timestamps.get(key);
+    const now = Date.now();
+    return (timestamps || []).filter(timestamp => timestamp + this.duration > now);
+  }
+
+  async _setTimestamps(key, timestamps) {
+    /**
+     * @private
+     * @param key {string}
+     * @param timestamps {number[]}
+     * @returns {Promise<void>}
+     */
+    if (this.storage) {
+      await this.storage.set(key, timestamps, this.duration);
+      return;
+    }
+    this._prune();
+    this.timestamps.set(key, timestamps);
+  }
+
+  _prune() {
+    /**
+     * Forget the in memory windows which have ended
+     * @private
+     * @returns {void}
+     */
+    const now = Date.now();
+    this.timestamps.forEach((timestamps, key) => {
+      if (timestamps.every(timestamp => timestamp + this.duration <= now)) {
+        this.timestamps.delete(key);
+      }
+    });
+  }
+
+  async consume(interaction, entryPoint = 'command') {
+    /**
+     * Record a use of the command if allowed
+     * @param interaction {UnifiedInteraction}
+     * @param entryPoint {'command' | 'button' | 'selectMenu' | 'modal'} how the command is used
+     * @returns {Promise<number>} the seconds to wait before the next use, 0 if the use has been allowed
+     */
+    if (!this.covers(entryPoint)) {
+      return 0;
+    }
+    if (this.bypassRoles.length > 0 && interaction.author.hasOneOfRoles(this.bypassRoles)) {
+      return 0;
+    }
+
+    const key = this._key(interaction, entryPoint);
+    const timestamps = await this._getTimestamps(key);
+
+    if (timestamps.length >= this.uses) {
+      return Math.ceil((timestamps[0] + this.duration - Date.now()) / 1000);
+    }
+
+    timestamps.push(Date.now());
+    await this._setTimestamps(key, timestamps);
+    return 0;
+  }
+
+  async reset(interaction, entryPoint = 'command') {
+    /**
+     * Forget the uses of the command for the interaction scope
+     * @param interaction {UnifiedInteraction}
+     * @param entryPoint {'command' | 'button' | 'selectMenu' | 'modal'}
+     * @returns {Promise<void>}
+     */
+    const key = this._key(interaction, entryPoint);
+    if (this.storage) {
+      await this.storage.delete(key);
+      return;
+    }
+    this.timestamps.delete(key);
+  }
+
+  formatMessage(remaining, interaction) {
+    /**
+     * @param remaining {number} the seconds to wait
+     * @param interaction {UnifiedInteraction} the interaction to translate the message for
+     * @returns {string}
+     */
+    if (!this.message) {
+      return interaction.t('bot.cooldown', { remaining });
+    }
+    return this.message.replace(/\{remaining\}/g, String(remaining));
+  }
+}
+
+export default Cooldown;
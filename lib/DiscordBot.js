@@ -1,16 +1,31 @@
+import { createHash } from 'node:crypto';
 import { captureRejectionSymbol, EventEmitter } from 'node:events';
-import { mkdir } from 'node:fs/promises';
-import { join } from 'node:path';
-import { ActivityType, Client, GatewayIntentBits, Partials, PermissionsBitField, REST, Routes } from 'discord.js';
+import { watch } from 'node:fs';
+import { access, mkdir } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { getVoiceConnections } from '@discordjs/voice';
+import {
+  ActivityType, Client, GatewayIntentBits, Partials, PermissionsBitField, REST, RESTJSONErrorCodes, Routes,
+} from 'discord.js';
 import * as dotenv from 'dotenv';
 import Keyv from 'keyv';
 
 import ApiServer from './ApiServer.js';
 import Command from './Command.js';
+import GuildSettings from './GuildSettings.js';
+import I18n from './I18n.js';
 import Logger from './Logger.js';
+import ReconnectionManager from './ReconnectionManager.js';
+import SessionManager from './SessionManager.js';
+import Storage from './Storage.js';
 import UnifiedInteraction from './UnifiedInteraction.js';
 import User from './User.js';
-import importGlob from './utils/importGlob.js';
+import configCommand from './commands/config.js';
+import helpCommand from './commands/help.js';
+import paginatorCommand from './commands/paginator.js';
+import { diffCommands } from './utils/commandsDiff.js';
+import { compileComponentPattern, isComponentPattern } from './utils/componentIds.js';
+import importGlob, { importableFile, importFile } from './utils/importGlob.js';
 
 dotenv.config();
 const intents = [];
@@ -36,8 +51,18 @@ class DiscordBot extends EventEmitter {
     persistentStorageConnectionString = process.env.PERSISTENT_STORAGE_CONNECTION_STRING,
     errorContent = process.env.ERROR_CONTENT,
     helloMessage = process.env.HELLO_MESSAGE,
+    goodbyeMessage = process.env.GOODBYE_MESSAGE,
     serviceMessagesChannelId = process.env.SERVICE_MESSAGES_CHANNEL_ID,
     presenceInfos = null,
+    localesDirPath = process.env.LOCALES_DIR_PATH,
+    defaultLocale = process.env.DEFAULT_LOCALE,
+    useConfigCommand = String(process.env.NO_CONFIG_COMMAND) !== 'true',
+    useHelpCommand = String(process.env.NO_HELP_COMMAND) !== 'true',
+    guildIds = process.env.GUILD_IDS || process.env.GUILD_ID,
+    client = null,
+    stopTimeout = process.env.STOP_TIMEOUT,
+    handleSignals = String(process.env.NO_SIGNALS_HANDLING) !== 'true',
+    reconnection = {},
   }) {
     /**
      * @type DiscordBot
@@ -52,8 +77,18 @@ class DiscordBot extends EventEmitter {
      * @param persistentStorageConnectionString {String} Connection string to use for the persistent storage
      * @param errorContent {String} Content to send when an error occurs
      * @param helloMessage {String} Message to send when the bot is ready
+     * @param goodbyeMessage {String} Message to send when the bot stops (none if empty)
      * @param serviceMessagesChannelId {String} ID of the channel to send the service messages to
      * @param presenceInfos {Object} Presence infos to set when the bot is ready
+     * @param localesDirPath {String} Path to the directory containing the translations (one JSON file per locale)
+     * @param defaultLocale {String} Locale to use when the user and guild ones are not translated
+     * @param useConfigCommand {Boolean} If true, the built-in /config command allows admins to change the guild settings
+     * @param useHelpCommand {Boolean} If true, the built-in /help command lists the commands the users can use
+     * @param guildIds {String | String[]} IDs of the guilds the commands are registered to in dev mode (comma separated)
+     * @param client {Client | null} The Discord.js client to use instead of creating one (useful for tests)
+     * @param stopTimeout {Number} Milliseconds to wait for the running handlers when the bot stops
+     * @param handleSignals {Boolean} If true, the bot stops gracefully on SIGINT and SIGTERM
+     * @param reconnection {Object} The reconnection options: baseDelay and maxDelay in milliseconds, maxAttempts
      * @returns {DiscordBot}
      */
     super({ captureRejections: true });
@@ -64,20 +99,30 @@ class DiscordBot extends EventEmitter {
     this.env = env;
     this.isDevMode = isDevMode || true;
     this.prefix = prefix || '!';
+    this.guildIds = (Array.isArray(guildIds) ? guildIds : String(guildIds || '').split(','))
+      .map(guildId => String(guildId).trim())
+      .filter(Boolean);
 
     this.commands = [];
     this.slashCommands = new Set([]);
     this.messageCommands = new Set([]);
+    this.contextMenuCommands = new Set([]);
     this.buttonsHandheld = new Set([]);
     this.selectMenusHandheld = new Set([]);
+    this.componentRoutes = { button: [], selectMenu: [] };
+    this.modalsHandheld = new Set([]);
     this.mentionHandlers = new Set([]);
     this.messageHandlers = new Set([]);
     this.dmHandlers = new Set([]);
     this.apiRoutes = new Set([]);
+    this.middlewares = [];
+    this.pendingHandlers = new Set([]);
 
-    this.errorContent = errorContent || 'Oh no...';
+    this.errorContent = errorContent || null;
 
-    this.helloMessage = helloMessage || 'I\'m back!';
+    this.helloMessage = helloMessage || null;
+
+    this.goodbyeMessage = goodbyeMessage || null;
 
     this.serviceMessagesChannelId = serviceMessagesChannelId || null;
 
@@ -88,9 +133,27 @@ class DiscordBot extends EventEmitter {
     this.persistentStorageConnectionString = persistentStorageConnectionString;
 
     this.noPersistentStorage = noPersistentStorage;
+    this.storage = new Storage({ bot: this });
+
+    this.useConfigCommand = useConfigCommand;
+    this.useHelpCommand = useHelpCommand;
+    this.guildSettings = new GuildSettings({ bot: this });
 
-    this.client = new Client(discordClientOptions);
+    this.i18n = new I18n({ bot: this, localesDirPath, defaultLocale: defaultLocale || 'en-US' });
+
+    this.client = client || new Client(discordClientOptions);
     this.apiServer = null;
+    this.commandsWatcher = null;
+
+    this.stopTimeout = parseInt(stopTimeout, 10) || 10000;
+    this.handleSignals = handleSignals;
+    this.signalsListener = null;
+    this.isReady = false;
+    this.hasBeenReady = false;
+    // Once set, it stays set: the stopped bots ignore the interactions and cannot be started again
+    this.isStopping = false;
+    this.reconnection = new ReconnectionManager({ bot: this, ...reconnection });
+    this.sessions = new SessionManager({ bot: this });
 
     if (this.useInternalLogger) {
       this.logger = new Logger(this);
@@ -158,6 +221,44 @@ class DiscordBot extends EventEmitter {
     this.log('debug', args);
   }
 
+  _trackHandler(result) {
+    /**
+     * Keep track of the running handlers, so they can be waited for
+     * @private
+     * @param result {any} what a command listener returned
+     * @returns {any} the same result
+     */
+    if (result && typeof result.then === 'function') {
+      this.pendingHandlers.add(result);
+      Promise.resolve(result)
+        .catch(() => null)
+        .then(() => this.pendingHandlers.delete(result));
+    }
+    return result;
+  }
+
+  async idle() {
+    /**
+     * Wait until no command handler is running
+     * @returns {Promise<void>}
+     */
+    if (this.pendingHandlers.size === 0) {
+      return;
+    }
+    await Promise.allSettled(Array.from(this.pendingHandlers));
+    await this.idle();
+  }
+
+  t(key, vars = {}, locales = []) {
+    /**
+     * @param key {String} the translation key
+     * @param vars {Object} the values replacing the {placeholders}
+     * @param locales {String[]} the preferred locales, in order
+     * @returns {String}
+     */
+    return this.i18n.t(key, vars, locales.filter(Boolean));
+  }
+
   [captureRejectionSymbol](err, event, ...args) {
     /**
      * Capture rejections from async listeners
@@ -172,22 +273,134 @@ class DiscordBot extends EventEmitter {
   async start() {
     /**
      * @returns {Promise<void>}
+     * @throws {Error} when the bot has been stopped, a stopped bot cannot be started again
      */
+    if (this.isStopping) {
+      throw new Error('A stopped bot cannot be started again, create a new one instead');
+    }
     this.info('Bot is starting...');
     this.info('Prefix is', this.prefix);
     this.info('Dev mode is', this.isDevMode ? 'on' : 'off');
 
     await this._setupPersistentStorage();
+    await this.i18n.load();
 
     await this._discoverCommands();
+    this._addBuiltInCommands();
     this._listCommands();
+    await this._runHooks('beforeStart');
     await this._registerCommands();
     this._registerListeners();
     await this.login();
-    if (this.apiRoutes.size > 0) {
-      this.apiServer = new ApiServer({ bot: this, routes: this.apiRoutes });
-      await this.apiServer.start();
+    await this._startApiServer();
+    this._watchCommands();
+    this._listenToSignals();
+  }
+
+  async stop() {
+    /**
+     * Stop the bot gracefully: no new interaction is handled, the running handlers are waited for
+     * (up to stopTimeout), then everything is closed
+     * @returns {Promise<void>}
+     * @emits beforeStop
+     * @emits stopped
+     */
+    if (this.isStopping) {
+      return;
     }
+    this.isStopping = true;
+    this.reconnection.cancel();
+    this.sessions.stop();
+    this.info('Bot is stopping...');
+
+    await this._runHooks('beforeStop', false);
+
+    if (this.commandsWatcher) {
+      this.commandsWatcher.close();
+      this.commandsWatcher = null;
+    }
+
+    let timeout;
+    const drained = await Promise.race([
+      this.idle().then(() => true),
+      new Promise(res => {
+        timeout = setTimeout(() => res(false), this.stopTimeout);
+      }),
+    ]);
+    clearTimeout(timeout);
+    if (!drained) {
+      this.warn(`${this.pendingHandlers.size} handlers still running after ${this.stopTimeout}ms, stopping anyway`);
+    }
+
+    if (this.isReady) {
+      await Promise.all(this.guilds.map(guild => this._sendServiceMessage(guild, 'goodbyeMessage')));
+    }
+
+    getVoiceConnections().forEach(connection => connection.destroy());
+
+    if (this.apiServer) {
+      await this.apiServer.stop();
+      this.apiServer = null;
+    }
+
+    this.client.destroy();
+    this.isReady = false;
+
+    if (this.persistentStorage) {
+      await this.persistentStorage.disconnect();
+    }
+
+    if (this.signalsListener) {
+      ['SIGINT', 'SIGTERM'].forEach(signal => process.off(signal, this.signalsListener));
+      this.signalsListener = null;
+    }
+
+    await this._runHooks('stopped', false);
+    this.info('Bot stopped');
+  }
+
+  _listenToSignals() {
+    /**
+     * Stop the bot, then exit, on SIGINT (Ctrl+C) and SIGTERM
+     * @private
+     * @returns {void}
+     */
+    if (!this.handleSignals || this.signalsListener) {
+      return;
+    }
+
+    this.signalsListener = signal => {
+      this.info(`${signal} received`);
+      this.stop()
+        .then(() => process.exit(0))
+        .catch(e => {
+          this.error(`Error while stopping: ${e.message}`);
+          process.exit(1);
+        });
+    };
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, this.signalsListener));
+  }
+
+  async _runHooks(hookName, throwErrors = true) {
+    /**
+     * Emit a lifecycle event and call the matching hook of every command
+     * @private
+     * @param hookName {'beforeStart' | 'ready' | 'beforeStop' | 'stopped'}
+     * @param throwErrors {Boolean} if false, the hooks errors are only logged
+     * @returns {Promise<void>}
+     * @throws
+     */
+    this.emit(hookName, this);
+    await Promise.all(this.commands.map(async command => {
+      try {
+        await command.runHook(hookName);
+      } catch (e) {
+        if (throwErrors) {
+          throw new Error(`Error in the ${hookName} hook of command "${command.name}": ${e.message}`);
+        }
+        this.error(`Error in the ${hookName} hook of command "${command.name}": ${e.message}`);
+      }
+    }));
   }
 
   async login() {
@@ -195,29 +408,76 @@ class DiscordBot extends EventEmitter {
      * @returns {Promise<string>}
      */
     try {
-      await this.client.login(this.env.BOT_TOKEN);
-      if (this.presenceInfos) {
-        await this.client.user.setPresence({
-          activities: [{
-            name: 'Pong!',
-            type: ActivityType.Playing,
-            ...this.presenceInfos,
-          }],
-          status: 'online',
-          afk: false,
-        });
-      }
+      await this._connect();
     } catch (e) {
       this.error(e);
     }
   }
 
-  addCommand(commandDefinition) {
+  async _connect() {
+    /**
+     * Connect the client to the Discord gateway and set the bot presence
+     * @private
+     * @returns {Promise<void>}
+     * @throws
+     */
+    await this.client.login(this.env.BOT_TOKEN);
+    if (this.presenceInfos) {
+      await this.client.user.setPresence({
+        activities: [{
+          name: 'Pong!',
+          type: ActivityType.Playing,
+          ...this.presenceInfos,
+        }],
+        status: 'online',
+        afk: false,
+      });
+    }
+  }
+
+  async _reconnectClient() {
+    /**
+     * Replace the Discord client by a new one and connect it, the commands, API server and storage are kept
+     * @private
+     * @returns {Promise<void>}
+     * @throws
+     */
+    // The voice connections use the voice adapters of the previous client, they would not work with the new one
+    getVoiceConnections().forEach(connection => connection.destroy());
+
+    const previous = this.client;
+    previous.removeAllListeners();
+    previous.destroy();
+
+    this.client = new Client(this.discordClientOptions);
+    this._registerListeners();
+    await this._connect();
+  }
+
+  use(middleware) {
+    /**
+     * Add a middleware running before every command handler
+     * @param middleware {function(UnifiedInteraction, Function): Promise<void>} the middleware
+     * @returns {DiscordBot}
+     * @throws
+     */
+    if (typeof middleware !== 'function') {
+      throw new Error('A middleware must be a function');
+    }
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  addCommand(commandDefinition, filePath = null) {
     /**
      * @param commandDefinition {Command} Command to add
-     * @returns {void}
+     * @param filePath {String | null} The file the command definition comes from
+     * @returns {Command}
      */
-    this.commands.push(new Command({ ...commandDefinition, bot: this }));
+    const command = new Command({ ...commandDefinition, bot: this });
+    command.filePath = filePath;
+    this.commands.push(command);
+    return command;
   }
 
   addCommands(commandsDefinitions) {
@@ -243,40 +503,279 @@ class DiscordBot extends EventEmitter {
     try {
       this.info('Auto-discovering commands from', this.commandsDirPath, '...');
       const found = await importGlob(this.commandsDirPath, this);
-      this.info('Discovered', Object.keys(found).length, 'commands');
-      this.addCommands(found);
+      this.info('Discovered', found.length, 'commands');
+      found.forEach(({ file, definition }) => this.addCommand(definition, file));
     } catch (e) {
       this.error(`Error while discovering commands: ${e.message}`);
       throw e;
     }
   }
 
+  _addBuiltInCommands() {
+    /**
+     * @private
+     * @returns {void}
+     */
+    const builtInCommands = [
+      this.useConfigCommand && configCommand,
+      this.useHelpCommand && helpCommand,
+      paginatorCommand,
+    ].filter(Boolean);
+
+    builtInCommands.forEach(builtInCommand => {
+      if (this.commands.some(command => command.name === builtInCommand.name)) {
+        this.warn(`A "${builtInCommand.name}" command already exists, the built-in one is not added`);
+        return;
+      }
+      this.addCommand(builtInCommand);
+    });
+  }
+
+  _watchCommands() {
+    /**
+     * In dev mode, reload the commands files when they change
+     * @private
+     * @returns {void}
+     */
+    if (!this.isDevMode || !this.autoDiscoverCommands || !this.commandsDirPath || this.commandsWatcher) {
+      return;
+    }
+
+    const pending = new Map();
+    this.commandsWatcher = watch(this.commandsDirPath, (eventType, filename) => {
+      if (!filename || !importableFile.test(filename)) {
+        return;
+      }
+      // Editors usually trigger several events for a single save
+      const file = resolve(this.commandsDirPath, filename);
+      clearTimeout(pending.get(file));
+      pending.set(file, setTimeout(() => {
+        pending.delete(file);
+        this._reloadCommandFile(file)
+          .catch(e => this.error(`Error while reloading ${file}: ${e.message}`));
+      }, 200));
+    });
+    this.commandsWatcher.on('error', e => this.error(`Error while watching ${this.commandsDirPath}: ${e.message}`));
+    this.info('Watching', this.commandsDirPath, 'for changes');
+  }
+
+  async _reloadCommandFile(file) {
+    /**
+     * Replace the commands coming from a file by its new version
+     * @private
+     * @param file {String} the changed file path
+     * @returns {Promise<void>}
+     */
+    const previous = this.commands.filter(c => c.filePath === file);
+
+    let exists = true;
+    try {
+      await access(file);
+    } catch (e) {
+      exists = false;
+    }
+
+    let command = null;
+    if (exists) {
+      try {
+        const definition = await importFile(file, true);
+        command = new Command({ ...definition, bot: this });
+        command.filePath = file;
+      } catch (e) {
+        this.error(`Unable to reload ${file}, keeping its previous version: ${e.message}`);
+        return;
+      }
+      if (this.commands.some(c => c.name === command.name && !previous.includes(c))) {
+        command.destroy();
+        throw new Error(`A "${command.name}" command already exists, keeping the previous version of ${file}`);
+      }
+    }
+
+    await Promise.all(previous.map(async c => {
+      c.destroy();
+      await c.runHook('beforeStop');
+      await c.runHook('stopped');
+    }));
+    this.commands = this.commands.filter(c => !previous.includes(c));
+    if (command) {
+      this.commands.push(command);
+      await command.runHook('beforeStart');
+      if (this.isReady) {
+        await command.runHook('ready');
+      }
+    }
+
+    this.info(command ? `Command "${command.name}" reloaded from ${file}` : `Commands from ${file} removed`);
+    this._listCommands();
+    await this._registerCommands();
+    if ([...previous, command].some(c => c && c.apiRoutes.length > 0)) {
+      await this._startApiServer();
+    }
+  }
+
+  async _startApiServer() {
+    /**
+     * Serve the API routes of the commands, restarting the server if it is running since its routes cannot change once listening
+     * @private
+     * @returns {Promise<void>}
+     */
+    if (this.apiServer) {
+      await this.apiServer.stop();
+      this.apiServer = null;
+    }
+    if (this.apiRoutes.size > 0) {
+      this.apiServer = new ApiServer({ bot: this, routes: this.apiRoutes });
+      await this.apiServer.start();
+    }
+  }
+
+  _commandsRoute(guildId = null) {
+    /**
+     * @private
+     * @param guildId {String | null} the guild of the commands, null for the global ones
+     * @returns {String}
+     */
+    return guildId ?
+      Routes.applicationGuildCommands(this.env.CLIENT_ID, guildId)
+      : Routes.applicationCommands(this.env.CLIENT_ID);
+  }
+
+  async _commandsTargets() {
+    /**
+     * Where each command must be registered: to the dev guilds in dev mode, globally otherwise,
+     * and always only to their guilds for the commands restricted to some guilds
+     * @private
+     * @returns {Promise<Map<String | null, Object[]>>} the commands definitions by guild id (null for the global ones)
+     * @throws
+     */
+    const registrable = this.commands.filter(c => c.isSlashCommand || c.contextMenu);
+    const targets = new Map();
+
+    if (this.isDevMode) {
+      if (this.guildIds.length === 0) {
+        throw new Error('Dev mode requires the GUILD_IDS (or GUILD_ID) environment variable');
+      }
+      this.guildIds.forEach(guildId => {
+        targets.set(guildId, registrable.filter(c => c.guilds.length === 0 || c.guilds.includes(guildId)));
+      });
+    } else {
+      targets.set(null, registrable.filter(c => c.guilds.length === 0));
+      registrable.forEach(c => c.guilds.forEach(guildId => {
+        targets.set(guildId, [...targets.get(guildId) || [], c]);
+      }));
+    }
+
+    // The guilds which had commands during the last registration may have to be cleaned
+    const previousGuilds = await this.storage.global.get('commandsGuilds', []);
+    previousGuilds
+      .filter(guildId => !targets.has(guildId))
+      .forEach(guildId => targets.set(guildId, []));
+
+    return new Map(Array.from(targets.entries()).map(([guildId, commands]) => [guildId, commands.map(c => c.def)]));
+  }
+
   async _registerCommands() {
     /**
      * @private
      * @throws
      * @returns {Promise<void>}
      */
+    const targets = await this._commandsTargets();
+
+    await Promise.all(Array.from(targets.entries()).map(async ([guildId, body]) => {
+      try {
+        await this._registerCommandsTo(guildId, body);
+      } catch (e) {
+        if (!guildId || e.code !== RESTJSONErrorCodes.MissingAccess) {
+          throw new Error(`Error during commands registration: ${e.message}`);
+        }
+        // The bot is not in this guild (yet), the guildCreate listener registers them when it joins
+        this.warn(`Unable to register the commands of the guild ${guildId}, the bot is not a member of it`);
+      }
+    }));
+
+    const registeredGuilds = Array.from(targets.entries())
+      .filter(([guildId, body]) => guildId && body.length > 0)
+      .map(([guildId]) => guildId);
+    await this.storage.global.set('commandsGuilds', registeredGuilds);
+  }
+
+  async _registerCommandsTo(guildId, body) {
+    /**
+     * Send to Discord only the changes between the registered commands and the local ones
+     * @private
+     * @param guildId {String | null} the guild of the commands, null for the global ones
+     * @param body {Object[]} the commands definitions
+     * @returns {Promise<void>}
+     */
     const rest = new REST().setToken(this.env.BOT_TOKEN);
-    const route = this.isDevMode ?
-      Routes.applicationGuildCommands(this.env.CLIENT_ID, this.env.GUILD_ID)
-      : Routes.applicationCommands(this.env.CLIENT_ID);
-    const body = this.commands.filter(c => c.isSlashCommand).map(c => c.def);
-    if (body.length === 0) {
-      this.info('No slash commands to register');
-      return;
-    }
-    try {
-      await rest.put(
-        route,
-        { body },
-      );
-      this.info('Slash Commands registered to Discord!');
-      if (!this.isDevMode) {
+    const route = this._commandsRoute(guildId);
+    const target = guildId ? `guild ${guildId}` : 'global';
+
+    // The hash of the last registration only tells whether the changes come from Discord:
+    // the commands edited or deleted there are restored too
+    const hash = createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    const hashKey = `commandsHash:${route}`;
+    const unchangedLocally = await this.storage.global.get(hashKey) === hash;
+
+    // Without it, Discord leaves the localizations out and every localized command would look changed
+    const registered = await rest.get(route, { query: new URLSearchParams({ with_localizations: 'true' }) });
+    const { created, updated, deleted } = diffCommands(registered, body, { ignoreDMPermission: Boolean(guildId) });
+
+    if (created.length + updated.length + deleted.length === 0) {
+      this.info(`Slash Commands (${target}) ${unchangedLocally ? 'unchanged since the last registration' : 'already up to date on Discord'}`);
+    } else {
+      if (unchangedLocally) {
+        this.warn(`Slash Commands (${target}) have been changed on Discord since the last registration, restoring them`);
+      }
+      await Promise.all([
+        ...created.map(def => rest.post(route, { body: def })),
+        ...updated.map(({ id, def }) => rest.patch(`${route}/${id}`, { body: def })),
+        ...deleted.map(({ id }) => rest.delete(`${route}/${id}`)),
+      ]);
+      created.forEach(def => this.info(`+ ${def.name} (created, ${target})`));
+      updated.forEach(({ def, changes }) => this.info(`~ ${def.name} (${changes.join(', ')} changed, ${target})`));
+      deleted.forEach(command => this.info(`- ${command.name} (deleted, ${target})`));
+      this.info(`Slash Commands (${target}) registered to Discord!`);
+      if (!guildId) {
         this.warn('!!! You may have to wait about 20 to 30 minutes for those commands to be available to everyone');
       }
+    }
+
+    await this.storage.global.set(hashKey, hash);
+  }
+
+  async unregisterCommands(names = null) {
+    /**
+     * Delete application commands registered to Discord, globally and in the guilds the commands are registered to
+     * @param names {String[] | null} the names of the commands to delete, null to delete all of them
+     * @returns {Promise<String[]>} the deleted commands names
+     * @throws
+     */
+    const rest = new REST().setToken(this.env.BOT_TOKEN);
+    const targets = await this._commandsTargets();
+    const deleted = new Set();
+
+    try {
+      await Promise.all(Array.from(new Set([null, ...targets.keys()])).map(async guildId => {
+        const route = this._commandsRoute(guildId);
+        const registered = await rest.get(route).catch(e => {
+          if (guildId && e.code === RESTJSONErrorCodes.MissingAccess) {
+            return [];
+          }
+          throw e;
+        });
+        const toDelete = registered.filter(command => !names || names.includes(command.name));
+        await Promise.all(toDelete.map(({ id }) => rest.delete(`${route}/${id}`)));
+        toDelete.forEach(command => {
+          this.info(`- ${command.name} (deleted, ${guildId ? `guild ${guildId}` : 'global'})`);
+          deleted.add(command.name);
+        });
+        await this.storage.global.delete(`commandsHash:${route}`);
+      }));
+      return Array.from(deleted);
     } catch (e) {
-      throw new Error(`Error during commands registration: ${e.message}`);
+      throw new Error(`Error during commands unregistration: ${e.message}`);
     }
   }
 
@@ -285,6 +784,17 @@ class DiscordBot extends EventEmitter {
      * @private
      * @returns {void}
      */
+    this.slashCommands = new Set([]);
+    this.messageCommands = new Set([]);
+    this.contextMenuCommands = new Set([]);
+    this.buttonsHandheld = new Set([]);
+    this.selectMenusHandheld = new Set([]);
+    this.modalsHandheld = new Set([]);
+    this.mentionHandlers = new Set([]);
+    this.messageHandlers = new Set([]);
+    this.dmHandlers = new Set([]);
+    this.apiRoutes = new Set([]);
+
     if (this.commands.length === 0) {
       this.info('This bot has no commands');
       return;
@@ -297,6 +807,9 @@ class DiscordBot extends EventEmitter {
       if (command.isMessageCommand) {
         this.messageCommands.add(command.name);
       }
+      if (command.contextMenu) {
+        this.contextMenuCommands.add(command.name);
+      }
       if (command.mentionHandler) {
         this.mentionHandlers.add(command.name);
       }
@@ -312,19 +825,32 @@ class DiscordBot extends EventEmitter {
       if (command.selectMenusHandheld.length > 0) {
         this.selectMenusHandheld = new Set([...this.selectMenusHandheld, ...command.selectMenusHandheld]);
       }
+      if (command.modalsHandheld.length > 0) {
+        this.modalsHandheld = new Set([...this.modalsHandheld, ...command.modalsHandheld]);
+      }
       if (command.apiRoutes.length > 0) {
         this.apiRoutes = new Set([...this.apiRoutes, ...command.apiRoutes]);
       }
     });
 
+    // The patterns are tried in the commands order when no command handles the exact id
+    this.componentRoutes = {
+      button: Array.from(this.buttonsHandheld).filter(isComponentPattern).map(compileComponentPattern),
+      selectMenu: Array.from(this.selectMenusHandheld).filter(isComponentPattern).map(compileComponentPattern),
+    };
+
     this.info('Slash Commands:',
       this.slashCommands.size > 0 ? Array.from(this.slashCommands).join(', ') : 'none');
     this.info('Message Commands:',
       this.messageCommands.size > 0 ? Array.from(this.messageCommands).join(', ') : 'none');
+    this.info('Context Menu Commands:',
+      this.contextMenuCommands.size > 0 ? Array.from(this.contextMenuCommands).join(', ') : 'none');
     this.info('Handheld Buttons:',
       this.buttonsHandheld.size > 0 ? Array.from(this.buttonsHandheld).join(', ') : 'none');
     this.info('Handheld Select Menus:',
       this.selectMenusHandheld.size > 0 ? Array.from(this.selectMenusHandheld).join(', ') : 'none');
+    this.info('Handheld Modals:',
+      this.modalsHandheld.size > 0 ? Array.from(this.modalsHandheld).join(', ') : 'none');
     this.info('Mentions Handlers:',
       this.mentionHandlers.size > 0 ? Array.from(this.mentionHandlers).join(', ') : 'none');
     this.info('Message Handlers:',
@@ -341,26 +867,24 @@ class DiscordBot extends EventEmitter {
     this.client.once('ready', async () => {
       this.info(`Logged in as ${this.client.user.tag}! with id: ${this.client.user.id}`);
 
+      if (this.hasBeenReady) {
+        this.isReady = true;
+        this.info('Bot is ready again');
+        return;
+      }
+
       const guilds = await this.client.guilds.fetch();
-      let readyGuilds = 0;
-      guilds.each(async _guild => {
+      await Promise.all(guilds.map(async _guild => {
         const guild = await _guild.fetch();
         this.info(`Attached on Guild: "${guild.name}" (id: ${guild.id})`);
-        const channels = await guild.channels.fetch();
-        if (this.serviceMessagesChannelId) {
-          const serviceChan = channels.find(c => c.id === this.serviceMessagesChannelId);
-          if (serviceChan) {
-            await serviceChan.send(this.helloMessage);
-          } else {
-            this.warn(`Service messages channel id "${this.serviceMessagesChannelId} `
-            + `not found in guild "${guild.name}" (id: ${guild.id})`);
-          }
-        }
-        readyGuilds++;
-        if (readyGuilds === guilds.size) {
-          this.info('Bot is ready');
-        }
-      });
+        await this._sendServiceMessage(guild, 'helloMessage');
+      }));
+      await this.sessions.restore();
+
+      this.isReady = true;
+      this.hasBeenReady = true;
+      this.info('Bot is ready');
+      await this._runHooks('ready', false);
     });
 
     const interactionEvents = ['interactionCreate', 'messageCreate'];
@@ -378,32 +902,78 @@ class DiscordBot extends EventEmitter {
     });
 
     this.client.on('invalidated', () => {
-      this.warn('Client invalidated');
-      this.warn('Info reconnecting in a few seconds...');
-      this.client.destroy();
-      setTimeout(async () => {
-        this.client = new Client(this.discordClientOptions);
-        await this.start();
-      }, 5000);
+      this.reconnection.reconnect('session invalidated');
+    });
+
+    this.client.on('shardDisconnect', (event, shardId) => {
+      // The shards reconnect by themselves, this is only emitted when they gave up
+      this.reconnection.reconnect(`shard ${shardId} closed with code ${event.code}`);
     });
 
     this.client.on('guildCreate', async guild => {
       this.info(`Attached on Guild: "${guild.name}" (id: ${guild.id})`);
-      await this.guilds.fetch();
+      // The client does not catch the rejections of its listeners
+      try {
+        await this.client.guilds.fetch();
+
+        const targets = await this._commandsTargets();
+        if (targets.has(guild.id)) {
+          await this._registerCommandsTo(guild.id, targets.get(guild.id));
+        }
+      } catch (e) {
+        this.error(`Unable to register the commands of the guild ${guild.id}: ${e.message}`);
+      }
     });
   }
 
+  async _sendServiceMessage(guild, setting) {
+    /**
+     * Send the hello or goodbye message to a guild service messages channel, if it has one
+     * @private
+     * @param guild {import('discord.js').Guild}
+     * @param setting {'helloMessage' | 'goodbyeMessage'} the guild setting holding the message
+     * @returns {Promise<void>}
+     */
+    const settings = await this.guildSettings.getAll(guild.id);
+    const { serviceMessagesChannelId } = settings;
+    // The goodbye message is optional, the hello one defaults to the translation
+    const content = setting === 'helloMessage'
+      ? settings.helloMessage || this.t('bot.hello', {}, [guild.preferredLocale])
+      : settings.goodbyeMessage;
+    if (!serviceMessagesChannelId || !content) {
+      return;
+    }
+
+    const channels = await guild.channels.fetch();
+    const serviceChan = channels.find(c => c.id === serviceMessagesChannelId);
+    if (!serviceChan) {
+      this.warn(`Service messages channel id "${serviceMessagesChannelId} `
+        + `not found in guild "${guild.name}" (id: ${guild.id})`);
+      return;
+    }
+    try {
+      await serviceChan.send(content);
+    } catch (e) {
+      this.warn(`Unable to send a service message in guild "${guild.name}" (id: ${guild.id}): ${e.message}`);
+    }
+  }
+
   async _mainListener(interaction) {
     /**
      * The listener that handles all interactions or messages events
      * @private
      * @param {any} interaction
      */
+    if (this.isStopping) {
+      return;
+    }
     try {
       await this._handleInteraction(interaction);
     } catch (e) {
       this.error(e);
-      await interaction.reply({ content: this.errorContent });
+      const locales = [interaction.locale, interaction.guildLocale || (interaction.guild && interaction.guild.preferredLocale)];
+      const errorContent = await this.guildSettings.get(interaction.guildId || null, 'errorContent');
+      await interaction.reply({ content: errorContent || this.t('bot.error', {}, locales) });
     }
   }
 
@@ -422,13 +992,17 @@ class DiscordBot extends EventEmitter {
       interactionObject = new UnifiedInteraction(interaction, this);
     }
 
+    if (interactionObject.guild) {
+      interactionObject.prefix = await this.guildSettings.get(interactionObject.guild.id, 'prefix');
+    }
+
     if (interactionObject.isFromBot) {
       if (interactionObject.isFromMe) return;
       this.info('Ignoring interaction from a bot', interactionObject.author.userId);
       return;
     }
 
-    const { eventName } = interactionObject;
+    const eventName = this._routeComponent(interactionObject);
 
     if (eventName) {
       this.info('Interaction received:', eventName);
@@ -440,6 +1014,34 @@ class DiscordBot extends EventEmitter {
     this.info('Ignoring interaction');
   }
 
+  _routeComponent(interaction) {
+    /**
+     * The event to emit for an interaction: for a button or a select menu whose id is not handheld as is,
+     * the event of the first matching pattern, the parameters being set in `interaction.componentParams`
+     * @private
+     * @param interaction {UnifiedInteraction}
+     * @returns {string | undefined} the event name
+     */
+    const { eventName } = interaction;
+    const type = (interaction.isButton && 'button') || (interaction.isSelectMenu && 'selectMenu');
+    if (!type || this.listenerCount(eventName) > 0) {
+      return eventName;
+    }
+
+    const customId = interaction.isButton ? interaction.buttonId : interaction.selectMenuId;
+    let params = null;
+    const route = this.componentRoutes[type].find(candidate => {
+      params = candidate.match(customId);
+      return params !== null;
+    });
+    if (!route) {
+      return eventName;
+    }
+
+    interaction.componentParams = params;
+    return `${type}:${route.key}`;
+  }
+
   async getRole(roleNameOrId, guild) {
     /**
      * @param roleNameOrId {string} the role name or id
@@ -0,0 +1,150 @@
+const settingsKeys = ['prefix', 'serviceMessagesChannelId', 'helloMessage', 'goodbyeMessage', 'errorContent'];
+
+class GuildSettings {
+  constructor({ bot }) {
+    /**
+     * Per guild settings, overriding the bot options, kept in the bot persistent storage (or in memory without it)
+     * @param bot {DiscordBot} the bot
+     */
+    this.bot = bot;
+    this.cache = new Map();
+  }
+
+  static get keys() {
+    /**
+     * @returns {string[]}
+     */
+    return settingsKeys;
+  }
+
+  get defaults() {
+    /**
+     * The bot options, used when a guild has not overridden them
+     * @returns {Object.<string, string | null>}
+     */
+    return {
+      prefix: this.bot.prefix,
+      serviceMessagesChannelId: this.bot.serviceMessagesChannelId,
+      helloMessage: this.bot.helloMessage,
+      goodbyeMessage: this.bot.goodbyeMessage,
+      errorContent: this.bot.errorContent,
+    };
+  }
+
+  _storageKey(guildId) {
+    /**
+     * @private
+     * @param guildId {string}
+     * @returns {string}
+     */
+    return `guildSettings:${guildId}`;
+  }
+
+  _check(key) {
+    /**
+     * @private
+     * @param key {string}
+     * @throws
+     */
+    if (!settingsKeys.includes(key)) {
+      throw new Error(`Unknown guild setting "${key}", should be one of ${settingsKeys.join(', ')}`);
+    }
+  }
+
+  async _getOverrides(guildId) {
+    /**
+     * @private
+     * @param guildId {string}
+     * @returns {Promise<Object.<string, string>>}
+     */
+    if (!this.cache.has(guildId)) {
+      const stored = this.bot.persistentStorage ? await this.bot.persistentStorage.get(this._storageKey(guildId)) : null;
+      this.cache.set(guildId, stored || {});
+    }
+    return this.cache.get(guildId);
+  }
+
+  async _setOverrides(guildId, overrides) {
+    /**
+     * @private
+     * @param guildId {string}
+     * @param overrides {Object.<string, string>}
+     * @returns {Promise<void>}
+     */
+    this.cache.set(guildId, overrides);
+    if (!this.bot.persistentStorage) {
+      return;
+    }
+    if (Object.keys(overrides).length === 0) {
+      await this.bot.persistentStorage.delete(this._storageKey(guildId));
+      return;
+    }
+    await this.bot.persistentStorage.set(this._storageKey(guildId), overrides);
+  }
+
+  async getAll(guildId) {
+    /**
+     * @param guildId {string | null} the guild id, null for DMs
+     * @returns {Promise<Object.<string, string | null>>}
+     */
+    if (!guildId) {
+      return this.defaults;
+    }
+    return { ...this.defaults, ...await this._getOverrides(guildId) };
+  }
+
+  async get(guildId, key) {
+    /**
+     * @param guildId {string | null} the guild id, null for DMs
+     * @param key {string} the setting name
+     * @returns {Promise<string | null>}
+     * @throws
+     */
+    this._check(key);
+    const settings = await this.getAll(guildId);
+    return settings[key];
+  }
+
+  async isOverridden(guildId, key) {
+    /**
+     * @param guildId {string} the guild id
+     * @param key {string} the setting name
+     * @returns {Promise<boolean>}
+     */
+    this._check(key);
+    return Object.hasOwn(await this._getOverrides(guildId), key);
+  }
+
+  async set(guildId, key, value) {
+    /**
+     * @param guildId {string} the guild id
+     * @param key {string} the setting name
+     * @param value {string} the setting value
+     * @returns {Promise<void>}
+     * @throws
+     */
+    this._check(key);
+    const overrides = await this._getOverrides(guildId);
+    await this._setOverrides(guildId, { ...overrides, [key]: value });
+  }
+
+  async reset(guildId, key = null) {
+    /**
+     * Go back to the bot options for one or all the settings
+     * @param guildId {string} the guild id
+     * @param key {string | null} the setting name, null to reset them all
+     * @returns {Promise<void>}
+     * @throws
+     */
+    if (!key) {
+      await this._setOverrides(guildId, {});
+      return;
+    }
+    this._check(key);
+    const overrides = { ...await this._getOverrides(guildId) };
+    delete overrides[key];
+    await this._setOverrides(guildId, overrides);
+  }
+}
+
+export default GuildSettings;
@@ -0,0 +1,137 @@
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { globby } from 'globby';
+
+const builtInLocalesDir = join(dirname(fileURLToPath(import.meta.url)), 'locales');
+
+class I18n {
+  constructor({ bot, localesDirPath, defaultLocale = 'en-US' }) {
+    /**
+     * Translations catalogues, one JSON file per locale (named after the Discord locales: en-US.json, fr.json...)
+     * @param bot {DiscordBot} the bot
+     * @param localesDirPath {string | undefined} the directory containing the bot own catalogues
+     * @param defaultLocale {string} the locale to use when the user and guild ones are not translated
+     */
+    this.bot = bot;
+    this.localesDirPath = localesDirPath;
+    this.defaultLocale = defaultLocale;
+
+    this.catalogues = new Map();
+  }
+
+  get locales() {
+    /**
+     * @returns {string[]}
+     */
+    return Array.from(this.catalogues.keys());
+  }
+
+  async load() {
+    /**
+     * Load the built-in catalogues then the bot ones, the latter overriding the former
+     * @returns {Promise<void>}
+     */
+    this.catalogues.clear();
+    await this._loadDir(builtInLocalesDir);
+    if (this.localesDirPath) {
+      await this._loadDir(this.localesDirPath);
+    }
+    this.bot.info('Locales:', this.locales.join(', '), `(default: ${this.defaultLocale})`);
+  }
+
+  async _loadDir(path) {
+    /**
+     * @private
+     * @param path {string}
+     * @returns {Promise<void>}
+     */
+    const files = await globby(join(path, '*.json'));
+    await Promise.all(files.map(async file => {
+      const locale = basename(file, '.json');
+      try {
+        const catalogue = JSON.parse(await readFile(file, 'utf8'));
+        this.catalogues.set(locale, { ...this.catalogues.get(locale), ...this._flatten(catalogue) });
+      } catch (e) {
+        this.bot.error(`Unable to load the "${locale}" locale from ${file}: ${e.message}`);
+      }
+    }));
+  }
+
+  _flatten(catalogue, prefix = '') {
+    /**
+     * Turn nested objects into dotted keys: { a: { b: 'c' } } => { 'a.b': 'c' }
+     * @private
+     * @param catalogue {Object}
+     * @param prefix {string}
+     * @returns {Object.<string, string>}
+     */
+    return Object.entries(catalogue).reduce((acc, [key, value]) => {
+      if (value !== null && typeof value === 'object') {
+        return { ...acc, ...this._flatten(value, `${prefix}${key}.`) };
+      }
+      acc[`${prefix}${key}`] = String(value);
+      return acc;
+    }, {});
+  }
+
+  resolveLocale(locale) {
+    /**
+     * Find the catalogue matching a locale, exactly or by language (fr-FR => fr, en-GB => en-US)
+     * @param locale {string | undefined}
+     * @returns {string | undefined}
+     */
+    if (!locale) {
+      return undefined;
+    }
+    if (this.catalogues.has(locale)) {
+      return locale;
+    }
+    const [language] = locale.split('-');
+    return this.locales.find(l => l.split('-')[0] === language);
+  }
+
+  has(key, locale) {
+    /**
+     * @param key {string}
+     * @param locale {string}
+     * @returns {boolean}
+     */
+    const resolved = this.resolveLocale(locale);
+    return Boolean(resolved) && Object.hasOwn(this.catalogues.get(resolved), key);
+  }
+
+  t(key, vars = {}, locales = []) {
+    /**
+     * Translate a key in the first locale having it, falling back to the default locale then to the key itself
+     * @param key {string} the translation key
+     * @param vars {Object} the values replacing the {placeholders}
+     * @param locales {string[]} the preferred locales, in order
+     * @returns {string}
+     */
+    const locale = [...locales, this.defaultLocale].find(l => this.has(key, l));
+    if (!locale) {
+      this.bot.debug(`Missing translation for "${key}"`);
+      return key;
+    }
+    const translation = this.catalogues.get(this.resolveLocale(locale))[key];
+    return translation.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+  }
+
+  localizations(key) {
+    /**
+     * All the translations of a key, by locale, as Discord expects them for the commands names and descriptions
+     * @param key {string}
+     * @returns {Object.<string, string> | null}
+     */
+    const localizations = {};
+    this.catalogues.forEach((catalogue, locale) => {
+      if (Object.hasOwn(catalogue, key)) {
+        localizations[locale] = catalogue[key];
+      }
+    });
+    return Object.keys(localizations).length > 0 ? localizations : null;
+  }
+}
+
+export default I18n;
@@ -0,0 +1,111 @@
+class ReconnectionManager {
+  constructor({
+    bot,
+    baseDelay = 1000,
+    maxDelay = 60000,
+    maxAttempts = Infinity,
+  }) {
+    /**
+     * Reconnect the bot to the Discord gateway when its session is lost, waiting longer after each failed attempt.
+     * Only the Discord client is replaced: the commands, the API server and the storage are kept.
+     * @param bot {DiscordBot} the bot
+     * @param baseDelay {number} milliseconds to wait before the first attempt, doubled after each failure
+     * @param maxDelay {number} maximum milliseconds to wait between two attempts
+     * @param maxAttempts {number} attempts before giving up
+     */
+    this.bot = bot;
+    this.baseDelay = Number(baseDelay) || 1000;
+    this.maxDelay = Number(maxDelay) || 60000;
+    this.maxAttempts = Number(maxAttempts) || Infinity;
+
+    this.reconnecting = false;
+    this.attempts = 0;
+    this.reason = null;
+    this.timer = null;
+  }
+
+  delay(attempt) {
+    /**
+     * @param attempt {number} the attempt number, starting at 1
+     * @returns {number} the milliseconds to wait before this attempt
+     */
+    return Math.min(this.baseDelay * (2 ** (attempt - 1)), this.maxDelay);
+  }
+
+  reconnect(reason) {
+    /**
+     * Start reconnecting, unless it is already the case or the bot is stopping
+     * @param reason {string} why the connection has been lost
+     * @returns {void}
+     * @emits disconnected
+     */
+    if (this.reconnecting || this.bot.isStopping) {
+      return;
+    }
+
+    this.reconnecting = true;
+    this.attempts = 0;
+    this.reason = reason;
+    this.bot.isReady = false;
+    this.bot.warn(`Disconnected from Discord (${reason})`);
+    this.bot.emit('disconnected', { reason });
+    this._schedule();
+  }
+
+  cancel() {
+    /**
+     * Stop reconnecting
+     * @returns {void}
+     */
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.reconnecting = false;
+  }
+
+  _schedule() {
+    /**
+     * @private
+     * @returns {void}
+     */
+    this.attempts++;
+    const delay = this.delay(this.attempts);
+    this.bot.info(`Reconnection attempt ${this.attempts} in ${delay / 1000}s...`);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._attempt();
+    }, delay);
+  }
+
+  async _attempt() {
+    /**
+     * @private
+     * @returns {Promise<void>}
+     * @emits reconnected
+     * @emits reconnectionFailed
+     */
+    if (this.bot.isStopping) {
+      this.reconnecting = false;
+      return;
+    }
+
+    try {
+      await this.bot._reconnectClient();
+    } catch (e) {
+      this.bot.warn(`Reconnection attempt ${this.attempts} failed: ${e.message}`);
+      if (this.attempts < this.maxAttempts) {
+        this._schedule();
+        return;
+      }
+      this.reconnecting = false;
+      this.bot.error(`Unable to reconnect to Discord after ${this.attempts} attempts, giving up`);
+      this.bot.emit('reconnectionFailed', { reason: this.reason, attempts: this.attempts });
+      return;
+    }
+
+    this.reconnecting = false;
+    this.bot.info(`Reconnected to Discord after ${this.attempts} attempt(s)`);
+    this.bot.emit('reconnected', { reason: this.reason, attempts: this.attempts });
+  }
+}
+
+export default ReconnectionManager;
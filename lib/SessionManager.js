@@ -0,0 +1,143 @@
+import ComponentSession from './ComponentSession.js';
+import { disableComponents } from './utils/menusBuilders.js';
+
+// The longest delay setTimeout accepts
+const maxTimeout = 2 ** 31 - 1;
+
+class SessionManager {
+  constructor({ bot, defaultTtl = 15 * 60 * 1000 }) {
+    /**
+     * Create, load and expire the components sessions of the bot
+     * @param bot {DiscordBot} the bot
+     * @param defaultTtl {number} the milliseconds a session lasts when no TTL is given
+     */
+    this.bot = bot;
+    this.defaultTtl = Number(defaultTtl) || 15 * 60 * 1000;
+    this.timers = new Map();
+  }
+
+  get storage() {
+    /**
+     * @returns {Storage}
+     */
+    return this.bot.storage.sub('sessions');
+  }
+
+  async create(interaction, { state = {}, ttl = this.defaultTtl, restrictTo = 'author' } = {}) {
+    /**
+     * @param interaction {UnifiedInteraction} the interaction creating the session
+     * @param state {any} a JSON serializable state
+     * @param ttl {number} the milliseconds before the components are disabled
+     * @param restrictTo {'author' | 'anyone' | {users: string[], roles: string[]}} who may use the components
+     * @returns {Promise<ComponentSession>}
+     * @throws
+     */
+    const session = new ComponentSession({
+      bot: this.bot,
+      commandName: interaction.handledBy ? interaction.handledBy.command : null,
+      ownerId: interaction.author.userId,
+      restriction: restrictTo,
+      state,
+      expires: Date.now() + Number(ttl),
+    });
+    await session.save();
+    return session;
+  }
+
+  async load(sessionId) {
+    /**
+     * @param sessionId {string}
+     * @returns {Promise<ComponentSession | null>} null if it does not exist or has expired
+     */
+    const stored = await this.storage.get(sessionId);
+    if (!stored) {
+      return null;
+    }
+    const session = new ComponentSession({ bot: this.bot, ...stored });
+    return session.isExpired ? null : session;
+  }
+
+  schedule(session) {
+    /**
+     * Disable the components of an attached session when it expires
+     * @param session {ComponentSession}
+     * @returns {void}
+     */
+    clearTimeout(this.timers.get(session.id));
+    const timer = setTimeout(() => {
+      this.timers.delete(session.id);
+      if (session.isExpired) {
+        this.expire(session);
+      } else {
+        this.schedule(session);
+      }
+    }, Math.min(session.ttl, maxTimeout));
+    // The pending sessions must not keep the process alive
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    this.timers.set(session.id, timer);
+  }
+
+  async expire(session) {
+    /**
+     * Delete a session and disable its components
+     * @param session {ComponentSession}
+     * @returns {Promise<void>}
+     */
+    clearTimeout(this.timers.get(session.id));
+    this.timers.delete(session.id);
+    await this.storage.delete(session.id);
+
+    if (!session.messageId) {
+      return;
+    }
+    try {
+      const message = session.message || await this._fetchMessage(session);
+      await message.edit({ components: disableComponents(message.components, session.id) });
+      this.bot.debug(`Session ${session.id} expired, its components are disabled`);
+    } catch (e) {
+      this.bot.debug(`Unable to disable the components of session ${session.id}: ${e.message}`);
+    }
+  }
+
+  async restore() {
+    /**
+     * Schedule the expiry of the sessions created before a restart
+     * @returns {Promise<void>}
+     */
+    let entries;
+    try {
+      entries = await this.storage.entries();
+    } catch (e) {
+      this.bot.debug(`Sessions not restored: ${e.message}`);
+      return;
+    }
+    entries
+      .map(([, stored]) => new ComponentSession({ bot: this.bot, ...stored }))
+      .filter(session => session.messageId)
+      .forEach(session => this.schedule(session));
+  }
+
+  stop() {
+    /**
+     * Forget the expiry timers, the sessions stay in the storage
+     * @returns {void}
+     */
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  async _fetchMessage(session) {
+    /**
+     * @private
+     * @param session {ComponentSession}
+     * @returns {Promise<import('discord.js').Message>}
+     * @throws
+     */
+    const channel = await this.bot.client.channels.fetch(session.channelId);
+    return channel.messages.fetch(session.messageId);
+  }
+}
+
+export default SessionManager;
@@ -6,11 +6,23 @@ import {
   VoiceConnectionStatus,
   StreamType,
   createAudioResource,
+  entersState,
 } from '@discordjs/voice';
 import { ButtonStyle } from 'discord.js';
 import { globby } from 'globby';
 import { buildButtonsMenu, buildSelectMenu } from './utils/menusBuilders.js';
 
+export const loopModes = ['off', 'track', 'queue'];
+
+// The queued sounds listed in the replies, the others are only counted
+const shownQueueLength = 10;
+
+// The replies to an interaction cannot be edited after that, its token has expired
+const interactionTokenTtl = 15 * 60 * 1000;
+
+// The milliseconds a disconnected voice connection has to start reconnecting before being destroyed
+const reconnectionDelay = 5000;
+
 class SoundManager {
   constructor({
     channelName,
@@ -23,7 +35,7 @@ class SoundManager {
   }) {
     /**
      * Sounds Manager allowing to play sounds in a voice channel.
-     * @param channelName {string} - The name of the voice channel to manage
+     * @param channelName {string} - The name or the id of the voice channel to manage
      * @param buttonPrefix {string} - The prefix of the buttons to use
      * @param selectMenuName {string} - The name of the select menu to use
      * @param defaultVolumes {Array<number>} - The default volume for each sound. (default: 0.15 for 15%)
@@ -40,10 +52,17 @@ class SoundManager {
     this.selectMenuName = selectMenuName;
     this.bot = interaction.bot;
 
+    this.guildId = interaction.guild ? interaction.guild.id : null;
+    this.channelId = null;
+
     this.volume = defaultVolume;
     this.soundName = undefined;
     this.soundNames = [];
 
+    // The sounds to play after the current one, as {soundName, volume}
+    this.queue = [];
+    this.loopMode = 'off';
+
     this.isInitiated = false;
   }
 
@@ -52,15 +71,29 @@ class SoundManager {
      * Initialize the SoundManager.
      * @returns {Promise<void>}
      */
-    const { vocChan } = await this.interaction.joinVocalChannel(this.channelName);
+    const { chan, vocChan } = await this.interaction.joinVocalChannel(this.channelName);
     this.connection = vocChan;
+    // The channel may have been given by id
+    this.channelId = chan.id;
+    this.channelName = chan.name;
 
     this.player = createAudioPlayer();
-    this.player.on(AudioPlayerStatus.Playing, async () => {
-      const content = `Playing "${this.soundName}" (volume: ${this.volume}) on chan "${this.channelName}"`;
-      const components = await this.menu();
 
-      await this.interaction.reply({ content, components });
+    // A sound has ended (not replaced nor stopped): play the next one
+    this.player.on(AudioPlayerStatus.Idle, async () => {
+      if (!this.soundName) {
+        return;
+      }
+      const previousSoundName = this.soundName;
+      try {
+        this._playNext(false);
+        // A repeated sound does not change the reply
+        if (this.soundName !== previousSoundName) {
+          await this._updateReply();
+        }
+      } catch (error) {
+        this.bot.error(error);
+      }
     });
 
     this.player.on('error', error => {
@@ -71,44 +104,133 @@ class SoundManager {
       this.subscribtion = this.subscribtion || this.connection.subscribe(this.player);
     });
 
+    this.connection.on(VoiceConnectionStatus.Disconnected, async () => {
+      try {
+        // Moved to another channel or reconnecting
+        await Promise.race([
+          entersState(this.connection, VoiceConnectionStatus.Signalling, reconnectionDelay),
+          entersState(this.connection, VoiceConnectionStatus.Connecting, reconnectionDelay),
+        ]);
+      } catch (error) {
+        // Kicked from the channel or the channel has been deleted
+        this.destroy();
+      }
+    });
+
+    // Destroyed from outside, like when the bot replaces its Discord client
+    this.connection.on(VoiceConnectionStatus.Destroyed, () => this.destroy());
+
     this.isInitiated = true;
   }
 
-  async play(interaction, soundName, volume = undefined) {
-    if (this.soundNames.length === 0) {
-      this.soundNames = await this.getSoundsNames();
+  destroy() {
+    /**
+     * Stop playing, forget the queue and leave the voice channel
+     * @returns {void}
+     */
+    this.queue = [];
+    this.soundName = undefined;
+    if (this.player) {
+      this.player.stop(true);
     }
-    if (!this.soundNames.includes(soundName)) {
+    if (this.connection && this.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+      this.connection.destroy();
+    }
+    this.isInitiated = false;
+  }
+
+  async play(interaction, soundName, volume = undefined) {
+    /**
+     * Play a sound now, replacing the current one. The queue is kept.
+     * @param interaction {UnifiedInteraction} the interaction to reply to
+     * @param soundName {string}
+     * @param volume {number | undefined} (default: the sound default volume)
+     * @returns {Promise<boolean>} false if the sound does not exist
+     */
+    if (!await this._exists(soundName)) {
       this.bot.warn(`soundName "${soundName}" not found`);
       return false;
     }
 
     this.interaction = interaction;
-    this.soundName = soundName;
-    this.volume = volume || this.getVolume(soundName);
+    this._playSound({ soundName, volume: volume || this.getVolume(soundName) });
 
-    const filePath = join(this.soundFilesDir, `${soundName}.webm`);
+    const content = this.statusContent('sounds.playing',
+      { sound: this.soundName, channel: this.channelName, volume: this.volume });
+    const components = await this.menu();
 
-    const resource = createAudioResource(createReadStream(filePath), {
-      inputType: StreamType.WebmOpus,
-      inlineVolume: true,
+    await this.interaction.reply({ content, components });
+
+    return true;
+  }
+
+  async enqueue(interaction, soundNames, volume = undefined) {
+    /**
+     * Add sounds at the end of the queue, the first one being played at once if nothing is playing
+     * @param interaction {UnifiedInteraction} the interaction to reply to
+     * @param soundNames {string | string[]}
+     * @param volume {number | undefined} (default: the sounds default volumes)
+     * @returns {Promise<number>} the number of sounds queued, the unknown ones being ignored
+     */
+    const names = [].concat(soundNames);
+    const found = await Promise.all(names.map(soundName => this._exists(soundName)));
+    const queued = names.filter((soundName, index) => {
+      if (!found[index]) {
+        this.bot.warn(`soundName "${soundName}" not found`);
+      }
+      return found[index];
     });
+    if (queued.length === 0) {
+      return 0;
+    }
 
-    resource.volume.setVolume(this.volume);
+    this.interaction = interaction;
+    this.queue.push(...queued.map(soundName => ({ soundName, volume: volume || this.getVolume(soundName) })));
 
-    const content = `Playing "${this.soundName}" in "${this.channelName} (volume: ${this.volume})"`;
+    let content;
+    if (this.soundName) {
+      content = this.statusContent('sounds.queued', { sounds: queued.join(', ') });
+    } else {
+      this._playNext(false);
+      content = this.statusContent('sounds.playing', { sound: this.soundName, channel: this.channelName, volume: this.volume });
+    }
     const components = await this.menu();
 
-    this.player.play(resource);
+    await this.interaction.reply({ content, components });
+
+    return queued.length;
+  }
+
+  async skip(interaction = this.interaction) {
+    /**
+     * Play the next sound of the queue, or stop if there is none. The track loop is ignored.
+     * @param interaction {UnifiedInteraction} the interaction to reply to
+     * @returns {Promise<boolean>} whether a sound is playing
+     */
+    this.interaction = interaction;
+    const isPlaying = this._playNext(true);
+
+    const content = isPlaying
+      ? this.statusContent('sounds.playing', { sound: this.soundName, channel: this.channelName, volume: this.volume })
+      : this.statusContent('sounds.stopped');
+    const components = await this.menu();
 
     await this.interaction.reply({ content, components });
 
-    return true;
+    return isPlaying;
   }
 
-  async stop() {
+  async stop(interaction = this.interaction) {
+    /**
+     * Stop the current sound, the queue is kept
+     * @param interaction {UnifiedInteraction} the interaction to reply to
+     * @returns {Promise<void>}
+     */
+    this.interaction = interaction;
+    // Not a sound end, the queue must not advance
+    this.soundName = undefined;
     this.player.stop(true);
-    const content = 'Stop.';
+    const content = this.statusContent('sounds.stopped');
     const components = await this.menu();
 
     // @TODO: investigate why this is working but discord display "interaction failed"
@@ -117,18 +239,122 @@ class SoundManager {
 
   async playOrStop(interaction, soundName, volume = undefined) {
     if (soundName === 'stop') {
-      await this.stop();
+      await this.stop(interaction);
       return;
     }
 
     const response = await this.play(interaction, soundName, volume);
     if (!response) {
-      const content = `Sound "${soundName}" not found`;
+      const content = this.interaction.t('sounds.notFound', { sound: soundName });
       const components = await this.menu();
       await this.interaction.reply({ content, components });
     }
   }
 
+  clearQueue() {
+    /**
+     * Remove the sounds waiting in the queue, the current one keeps playing
+     * @returns {void}
+     */
+    this.queue = [];
+  }
+
+  loop(mode = undefined) {
+    /**
+     * Repeat the current sound ('track'), the whole queue ('queue') or nothing ('off')
+     * @param mode {'off' | 'track' | 'queue' | undefined} (default: the mode following the current one)
+     * @returns {'off' | 'track' | 'queue'} the new mode
+     * @throws if the mode does not exist
+     */
+    const nextMode = mode === undefined ? loopModes[(loopModes.indexOf(this.loopMode) + 1) % loopModes.length] : mode;
+    if (!loopModes.includes(nextMode)) {
+      throw new Error(`The loop mode must be one of ${loopModes.join(', ')} (got ${mode})`);
+    }
+    this.loopMode = nextMode;
+    return this.loopMode;
+  }
+
+  shuffle() {
+    /**
+     * Shuffle the sounds waiting in the queue
+     * @returns {string[]} the names of the queued sounds, in their new order
+     */
+    for (let index = this.queue.length - 1; index > 0; index -= 1) {
+      const other = Math.floor(Math.random() * (index + 1));
+      [this.queue[index], this.queue[other]] = [this.queue[other], this.queue[index]];
+    }
+    return this.queue.map(({ soundName }) => soundName);
+  }
+
+  statusContent(key, vars = {}) {
+    /**
+     * A reply text followed by the loop mode and the queued sounds
+     * @param key {string} the translation key of the first line
+     * @param vars {Object} its variables
+     * @returns {string}
+     */
+    const lines = [this.interaction.t(key, vars)];
+    if (this.loopMode !== 'off') {
+      lines.push(this.interaction.t('sounds.loop', { mode: this.interaction.t(`sounds.loopModes.${this.loopMode}`) }));
+    }
+    if (this.queue.length > 0) {
+      lines.push(this.interaction.t('sounds.next', { count: this.queue.length }));
+      this.queue.slice(0, shownQueueLength).forEach(({ soundName }, index) => lines.push(`${index + 1}. ${soundName}`));
+      if (this.queue.length > shownQueueLength) {
+        lines.push(this.interaction.t('sounds.nextMore', { count: this.queue.length - shownQueueLength }));
+      }
+    }
+    return lines.join('\n');
+  }
+
+  async savePlaylist(name, soundNames = undefined) {
+    /**
+     * Save a named playlist for the guild, in the bot storage
+     * @param name {string}
+     * @param soundNames {string[] | undefined} (default: the current sound and the queue)
+     * @returns {Promise<string[]>} the saved sounds names
+     * @throws if there is no sound to save or outside a guild
+     */
+    const names = soundNames || [this.soundName, ...this.queue.map(({ soundName }) => soundName)].filter(Boolean);
+    if (names.length === 0) {
+      throw new Error(`Playlist "${name}" has no sound`);
+    }
+    await this._playlists().set(name, names);
+    return names;
+  }
+
+  async loadPlaylist(interaction, name) {
+    /**
+     * Add the sounds of a saved playlist at the end of the queue
+     * @param interaction {UnifiedInteraction} the interaction to reply to
+     * @param name {string}
+     * @returns {Promise<number | null>} the number of sounds queued, null if the playlist does not exist
+     * @throws outside a guild
+     */
+    const soundNames = await this._playlists().get(name, null);
+    if (!soundNames) {
+      return null;
+    }
+    return this.enqueue(interaction, soundNames);
+  }
+
+  deletePlaylist(name) {
+    /**
+     * @param name {string}
+     * @returns {Promise<boolean>} false if the playlist does not exist
+     * @throws outside a guild
+     */
+    return this._playlists().delete(name);
+  }
+
+  listPlaylists() {
+    /**
+     * @returns {Promise<string[]>} the names of the guild playlists
+     * @throws outside a guild, or if the storage cannot list its keys
+     */
+    return this._playlists().keys();
+  }
+
   async getSoundsNames() {
     const globPath = join(this.soundFilesDir, '**/*.webm');
     const files = await globby(globPath);
@@ -136,7 +362,12 @@ class SoundManager {
     return this.soundNames;
   }
 
-  async menu() {
+  async menu(page = 0) {
+    /**
+     * The sounds select menus, paginated when there are too many sounds, and the stop, skip, loop, queue and leave buttons
+     * @param page {number} the page of sounds to show
+     * @returns {Promise<ActionRowBuilder[]>}
+     */
     await this.getSoundsNames();
 
     const items = this.soundNames.map(soundName => ({
@@ -145,12 +376,36 @@ class SoundManager {
       style: ButtonStyle.Primary,
     }));
 
-    const selectMenu = buildSelectMenu(items, this.selectMenuName, 'Choisissez un son à jouer');
+    // The last row is for the buttons
+    const selectMenu = buildSelectMenu(items, this.selectMenuName, {
+      placeholder: this.interaction.t('sounds.choose'),
+      rows: 4,
+      paginate: true,
+      page,
+      moreLabel: this.interaction.t('sounds.more'),
+      previousLabel: this.interaction.t('sounds.previous'),
+    });
 
     const buttons = buildButtonsMenu([{
       id: 'stop',
-      label: 'Stop',
+      label: this.interaction.t('sounds.stop'),
       style: ButtonStyle.Danger,
+    }, {
+      id: 'skip',
+      label: this.interaction.t('sounds.skip'),
+      style: ButtonStyle.Secondary,
+    }, {
+      id: 'loop',
+      label: this.interaction.t('sounds.loop', { mode: this.interaction.t(`sounds.loopModes.${this.loopMode}`) }),
+      style: this.loopMode === 'off' ? ButtonStyle.Secondary : ButtonStyle.Success,
+    }, {
+      id: 'queue',
+      label: this.interaction.t('sounds.queue', { count: this.queue.length }),
+      style: ButtonStyle.Secondary,
+    }, {
+      id: 'leave',
+      label: this.interaction.t('sounds.leave'),
+      style: ButtonStyle.Secondary,
     }], this.buttonPrefix);
 
     return selectMenu.concat(buttons);
@@ -159,6 +414,105 @@ class SoundManager {
   getVolume(soundName = '') {
     return this.defaultVolumes[soundName] || this.defaultVolume;
   }
+
+  async _exists(soundName) {
+    /**
+     * @private
+     * @param soundName {string}
+     * @returns {Promise<boolean>}
+     */
+    if (this.soundNames.length === 0) {
+      this.soundNames = await this.getSoundsNames();
+    }
+    return this.soundNames.includes(soundName);
+  }
+
+  _playSound({ soundName, volume }) {
+    /**
+     * @private
+     * @param soundName {string} an existing sound
+     * @param volume {number}
+     * @returns {void}
+     */
+    this.soundName = soundName;
+    this.volume = volume;
+
+    const filePath = join(this.soundFilesDir, `${soundName}.webm`);
+
+    const resource = createAudioResource(createReadStream(filePath), {
+      inputType: StreamType.WebmOpus,
+      inlineVolume: true,
+    });
+
+    resource.volume.setVolume(this.volume);
+
+    this.player.play(resource);
+  }
+
+  _nextSound(skipped) {
+    /**
+     * Take the sound to play after the current one, following the loop mode
+     * @private
+     * @param skipped {boolean} whether the current sound is skipped rather than ended
+     * @returns {{soundName: string, volume: number} | null}
+     */
+    const current = this.soundName ? { soundName: this.soundName, volume: this.volume } : null;
+    if (current && this.loopMode === 'track' && !skipped) {
+      return current;
+    }
+    if (current && this.loopMode === 'queue') {
+      this.queue.push(current);
+    }
+    return this.queue.shift() || null;
+  }
+
+  _playNext(skipped) {
+    /**
+     * @private
+     * @param skipped {boolean} whether the current sound is skipped rather than ended
+     * @returns {boolean} false when the queue is over
+     */
+    const next = this._nextSound(skipped);
+    if (!next) {
+      this.soundName = undefined;
+      this.player.stop(true);
+      return false;
+    }
+    this._playSound(next);
+    return true;
+  }
+
+  async _updateReply() {
+    /**
+     * Show the sound the queue has moved to in the last reply, while it can be edited
+     * @private
+     * @returns {Promise<void>}
+     * @throws
+     */
+    const { createdTimestamp } = this.interaction.originalObject;
+    if (!this.interaction.isMessage && (!createdTimestamp || Date.now() - createdTimestamp >= interactionTokenTtl)) {
+      return;
+    }
+
+    const content = this.soundName
+      ? this.statusContent('sounds.playing', { sound: this.soundName, channel: this.channelName, volume: this.volume })
+      : this.statusContent('sounds.stopped');
+    const components = await this.menu();
+
+    await this.interaction.editReply({ content, components });
+  }
+
+  _playlists() {
+    /**
+     * @private
+     * @returns {Storage} the guild playlists storage
+     * @throws outside a guild
+     */
+    if (!this.guildId) {
+      throw new Error('The playlists are saved per guild, the sound manager has no guild');
+    }
+    return this.bot.storage.guild(this.guildId).sub('playlists');
+  }
 }
 
 export default SoundManager;
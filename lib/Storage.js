@@ -0,0 +1,270 @@
+import Keyv from 'keyv';
+
+const serialize = (value, expires) => {
+  if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+    throw new Error(`Cannot store a value of type ${typeof value}`);
+  }
+  return JSON.stringify({ value, expires }, (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+};
+
+const deserialize = raw => {
+  if (typeof raw !== 'string') {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+};
+
+class Storage {
+  constructor({ bot, namespace = '', shared = { locks: new Map(), memory: null } }) {
+    /**
+     * A namespaced view of the bot persistent storage (or of an in-memory storage when it is disabled).
+     * Values are stored as JSON, TTLs are in milliseconds.
+     * @param bot {DiscordBot} the bot
+     * @param namespace {string} the namespace of the keys
+     * @param shared {Object} the locks and the in-memory fallback shared by all the namespaces
+     */
+    this.bot = bot;
+    this.namespace = namespace;
+    this.shared = shared;
+  }
+
+  get backend() {
+    /**
+     * @returns {Keyv}
+     */
+    if (this.bot.persistentStorage) {
+      return this.bot.persistentStorage;
+    }
+    if (!this.shared.memory) {
+      this.shared.memory = new Keyv();
+    }
+    return this.shared.memory;
+  }
+
+  get global() {
+    /**
+     * @returns {Storage}
+     */
+    return this.sub('global');
+  }
+
+  sub(namespace) {
+    /**
+     * @param namespace {string} the namespace, relative to this one
+     * @returns {Storage}
+     */
+    return new Storage({
+      bot: this.bot,
+      namespace: this.namespace ? `${this.namespace}:${namespace}` : namespace,
+      shared: this.shared,
+    });
+  }
+
+  guild(guildId) {
+    /**
+     * @param guildId {string}
+     * @returns {Storage}
+     */
+    return this.sub(`guild:${guildId}`);
+  }
+
+  user(userId) {
+    /**
+     * @param userId {string}
+     * @returns {Storage}
+     */
+    return this.sub(`user:${userId}`);
+  }
+
+  member(guildId, userId) {
+    /**
+     * @param guildId {string}
+     * @param userId {string}
+     * @returns {Storage}
+     */
+    return this.sub(`member:${guildId}:${userId}`);
+  }
+
+  command(commandName) {
+    /**
+     * @param commandName {string}
+     * @returns {Storage}
+     */
+    return this.sub(`command:${commandName}`);
+  }
+
+  _key(key) {
+    /**
+     * @private
+     * @param key {string}
+     * @returns {string}
+     */
+    return `storage:${this.namespace}:${key}`;
+  }
+
+  async _read(key) {
+    /**
+     * @private
+     * @param key {string}
+     * @returns {Promise<{value: any, expires: number | null} | null>}
+     */
+    const entry = deserialize(await this.backend.get(this._key(key)));
+    if (!entry || (entry.expires && entry.expires <= Date.now())) {
+      return null;
+    }
+    return entry;
+  }
+
+  async _withLock(key, fn) {
+    /**
+     * Run the operations on the same key one after the other (within this process)
+     * @private
+     * @param key {string}
+     * @param fn {Function}
+     * @returns {Promise<any>}
+     */
+    const fullKey = this._key(key);
+    const previous = this.shared.locks.get(fullKey) || Promise.resolve();
+    const current = previous.then(fn);
+    const settled = current.catch(() => null);
+    this.shared.locks.set(fullKey, settled);
+    try {
+      return await current;
+    } finally {
+      if (this.shared.locks.get(fullKey) === settled) {
+        this.shared.locks.delete(fullKey);
+      }
+    }
+  }
+
+  async get(key, defaultValue = undefined) {
+    /**
+     * @param key {string}
+     * @param defaultValue {any} the value to return if the key does not exist
+     * @returns {Promise<any>}
+     */
+    const entry = await this._read(key);
+    return entry ? entry.value : defaultValue;
+  }
+
+  async set(key, value, ttl = undefined) {
+    /**
+     * @param key {string}
+     * @param value {any} a JSON serializable value
+     * @param ttl {number | undefined} the time to live in milliseconds, forever if omitted
+     * @returns {Promise<void>}
+     * @throws
+     */
+    const expires = ttl ? Date.now() + ttl : null;
+    await this.backend.set(this._key(key), serialize(value, expires), ttl);
+  }
+
+  async has(key) {
+    /**
+     * @param key {string}
+     * @returns {Promise<boolean>}
+     */
+    return Boolean(await this._read(key));
+  }
+
+  delete(key) {
+    /**
+     * @param key {string}
+     * @returns {Promise<boolean>} true if the key existed
+     */
+    return this.backend.delete(this._key(key));
+  }
+
+  async ttl(key) {
+    /**
+     * @param key {string}
+     * @returns {Promise<number | null>} the milliseconds before the key expires, null if it never expires or does not exist
+     */
+    const entry = await this._read(key);
+    return entry && entry.expires ? entry.expires - Date.now() : null;
+  }
+
+  increment(key, by = 1, ttl = undefined) {
+    /**
+     * Atomically add to a number (within this process). The TTL is only applied when the key is created,
+     * so a counter expires at a fixed time.
+     * @param key {string}
+     * @param by {number} the value to add, may be negative
+     * @param ttl {number | undefined} the time to live in milliseconds of a new counter
+     * @returns {Promise<number>} the new value
+     */
+    return this._withLock(key, async () => {
+      const entry = await this._read(key);
+      const current = entry ? Number(entry.value) : 0;
+      if (Number.isNaN(current)) {
+        throw new Error(`Cannot increment "${key}", it is not a number`);
+      }
+
+      const value = current + by;
+      const remaining = entry && entry.expires ? entry.expires - Date.now() : undefined;
+      await this.set(key, value, entry ? remaining : ttl);
+      return value;
+    });
+  }
+
+  decrement(key, by = 1, ttl = undefined) {
+    /**
+     * @param key {string}
+     * @param by {number} the value to subtract
+     * @param ttl {number | undefined} the time to live in milliseconds of a new counter
+     * @returns {Promise<number>} the new value
+     */
+    return this.increment(key, -by, ttl);
+  }
+
+  async entries(prefix = '') {
+    /**
+     * List the keys of this namespace starting with a prefix, with their values.
+     * Only available on the memory and sqlite storages.
+     * @param prefix {string}
+     * @returns {Promise<Array<[string, any]>>}
+     * @throws
+     */
+    if (typeof this.backend.iterator !== 'function') {
+      throw new Error(`Listing keys is not supported by the ${this.bot.persistentStorageType} storage`);
+    }
+
+    const start = this._key(prefix);
+    const namespacePrefix = this._key('');
+    const entries = [];
+    for await (const [key, raw] of this.backend.iterator()) {
+      const entry = deserialize(raw);
+      if (key.startsWith(start) && entry && (!entry.expires || entry.expires > Date.now())) {
+        entries.push([key.slice(namespacePrefix.length), entry.value]);
+      }
+    }
+    return entries;
+  }
+
+  async keys(prefix = '') {
+    /**
+     * @param prefix {string}
+     * @returns {Promise<string[]>}
+     * @throws
+     */
+    const entries = await this.entries(prefix);
+    return entries.map(([key]) => key);
+  }
+
+  async clear(prefix = '') {
+    /**
+     * Delete the keys of this namespace starting with a prefix
+     * @param prefix {string}
+     * @returns {Promise<void>}
+     * @throws
+     */
+    const keys = await this.keys(prefix);
+    await Promise.all(keys.map(key => this.delete(key)));
+  }
+}
+
+export default Storage;
@@ -1,5 +1,10 @@
 import { joinVoiceChannel } from '@discordjs/voice';
 import User from './User.js';
+import { splitSessionId } from './utils/componentIds.js';
+import { tokenize } from './utils/messageArgs.js';
+import { buildModal } from './utils/modalBuilders.js';
+
+const messagePayload = options => Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
 
 class UnifiedInteraction {
   constructor(originalObject, bot) {
@@ -10,17 +15,36 @@ class UnifiedInteraction {
     const { content, locale, guildLocale, member, user, guild, author } = originalObject;
 
     this.bot = bot;
+    this.prefix = bot.prefix;
     this.content = content || '';
     this.locale = locale || guildLocale || 'default';
+    this.userLocale = locale || null;
+    this.guildLocale = guildLocale || (guild ? guild.preferredLocale : null) || null;
     this.author = new User({ member, user: user || author, guild });
     this.guild = guild;
     this.isDM = guild === null;
     this.channel = originalObject.channel;
     this.commandName = originalObject.commandName || undefined;
-    this.isSlashCommand = Boolean(originalObject.commandName) || false;
+    this.isAutocomplete = typeof originalObject.isAutocomplete === 'function' && originalObject.isAutocomplete();
+    this.isUserContextMenu = typeof originalObject.isUserContextMenuCommand === 'function'
+      && originalObject.isUserContextMenuCommand();
+    this.isMessageContextMenu = typeof originalObject.isMessageContextMenuCommand === 'function'
+      && originalObject.isMessageContextMenuCommand();
+    this.isSlashCommand = (Boolean(originalObject.commandName)
+      && !this.isAutocomplete
+      && !this.isUserContextMenu
+      && !this.isMessageContextMenu) || false;
     this.replied = false;
+    this.deferred = false;
     this.originalObject = originalObject;
     this.commandOptions = {};
+    this.subcommand = null;
+    this.subcommandGroup = null;
+    this.handledBy = null;
+    this.context = {};
+    this.componentParams = {};
+    this.session = null;
+    this.replyMessage = null;
   }
 
   get isButton() {
@@ -34,25 +58,38 @@ class UnifiedInteraction {
 
   get buttonId() {
     /**
+     * The button id, without its session id
      * @return {string | null}
      */
-    return this.isButton ? this.originalObject.customId : null;
+    return this.isButton ? splitSessionId(this.originalObject.customId).componentId : null;
   }
 
   get isSelectMenu() {
     /**
      * @return {boolean}
      */
+    // The string, role, user, channel and mentionable select menus
     return !!(this.originalObject.customId
-      && typeof this.originalObject.isSelectMenu === 'function'
-      && this.originalObject.isSelectMenu());
+      && typeof this.originalObject.isAnySelectMenu === 'function'
+      && this.originalObject.isAnySelectMenu());
   }
 
   get selectMenuId() {
     /**
+     * The select menu id, without its session id
      * @return {string | null}
      */
-    return this.isSelectMenu ? this.originalObject.customId : null;
+    return this.isSelectMenu ? splitSessionId(this.originalObject.customId).componentId : null;
+  }
+
+  get sessionId() {
+    /**
+     * @return {string | null} the id of the session the button or select menu belongs to
+     */
+    if (!this.isButton && !this.isSelectMenu) {
+      return null;
+    }
+    return splitSessionId(this.originalObject.customId).sessionId;
   }
 
   get selectMenuValues() {
@@ -66,19 +103,94 @@ class UnifiedInteraction {
     /**
      * @return {string | null}
      */
-    if (this.isSelectMenu && this.selectMenuValues.length > 0) {
+    if (this.isSelectMenu && this.selectMenuValues.length > 1) {
       this.bot.warn('using selectMenuValue on a select menu with multiple values for select menu'
       + `"${this.selectMenuId}"`);
     }
     return this.isSelectMenu ? this.originalObject.values[0] : null;
   }
 
+  get isModalSubmit() {
+    /**
+     * @return {boolean}
+     */
+    return !!(this.originalObject.customId
+      && typeof this.originalObject.isModalSubmit === 'function'
+      && this.originalObject.isModalSubmit());
+  }
+
+  get modalId() {
+    /**
+     * @return {string | null}
+     */
+    return this.isModalSubmit ? this.originalObject.customId : null;
+  }
+
+  get modalFields() {
+    /**
+     * The submitted values, by field id
+     * @return {Object.<string, string>}
+     */
+    if (!this.isModalSubmit) {
+      return {};
+    }
+    const fields = {};
+    this.originalObject.fields.fields.forEach(field => {
+      fields[field.customId] = field.value;
+    });
+    return fields;
+  }
+
+  get targetUser() {
+    /**
+     * The user a user context menu command has been used on
+     * @return {User | null}
+     */
+    if (!this.isUserContextMenu) {
+      return null;
+    }
+    const { targetMember, targetUser } = this.originalObject;
+    return new User({ member: targetMember, user: targetUser, guild: this.guild });
+  }
+
+  get targetMessage() {
+    /**
+     * The message a message context menu command has been used on
+     * @return {import('discord.js').Message | null}
+     */
+    return this.isMessageContextMenu ? this.originalObject.targetMessage : null;
+  }
+
+  get storage() {
+    /**
+     * The bot storage, namespaced for this interaction guild, author, author as a guild member and command
+     * @return {{guild: Storage | null, user: Storage, member: Storage | null, command: Storage | null}}
+     */
+    const { storage } = this.bot;
+    const guildId = this.guild ? this.guild.id : null;
+    const commandName = this.handledBy ? this.handledBy.command : this.commandName;
+    return {
+      guild: guildId ? storage.guild(guildId) : null,
+      user: storage.user(this.author.userId),
+      member: guildId ? storage.member(guildId, this.author.userId) : null,
+      command: commandName ? storage.command(commandName) : null,
+    };
+  }
+
+  get focusedOption() {
+    /**
+     * The option the user is currently typing in, for autocomplete interactions
+     * @return {{name: string, value: string | number, type: number} | null}
+     */
+    return this.isAutocomplete ? this.originalObject.options.getFocused(true) : null;
+  }
+
   get isMessageCommand() {
     /**
      * @return {string | undefined}
      */
-    if (!this.isSlashCommand && !this.isButton && this.content.startsWith(this.bot.prefix)) {
-      const possibleCommand = this.content.slice(this.bot.prefix.length).split(' ')[0];
+    if (!this.isSlashCommand && !this.isButton && this.content.startsWith(this.prefix)) {
+      const possibleCommand = this.content.slice(this.prefix.length).split(' ')[0];
       if (this.bot.messageCommands.has(possibleCommand)) {
         this.commandName = possibleCommand;
         return true;
@@ -87,12 +199,31 @@ class UnifiedInteraction {
     return false;
   }
 
+  get commandArgs() {
+    /**
+     * The words following the command name in a prefixed message command
+     * @return {string[]}
+     */
+    if (this.isSlashCommand || this.isAutocomplete || !this.content.startsWith(this.prefix)) {
+      return [];
+    }
+    return tokenize(this.content.slice(this.prefix.length)).slice(1);
+  }
+
   get eventName() {
     switch (true) {
       case this.isButton:
         return `button:${this.buttonId}`;
       case this.isSelectMenu:
         return `selectMenu:${this.selectMenuId}`;
+      case this.isModalSubmit:
+        return `modalSubmit:${this.modalId}`;
+      case this.isUserContextMenu:
+        return `userContextMenu:${this.commandName}`;
+      case this.isMessageContextMenu:
+        return `messageContextMenu:${this.commandName}`;
+      case this.isAutocomplete:
+        return `autocomplete:${this.commandName}`;
       case this.isSlashCommand:
         return `slashCommand:${this.commandName}`;
       case this.isMessageCommand:
@@ -145,78 +276,269 @@ class UnifiedInteraction {
     this.commandOptions = options;
   }
 
+  t(key, vars = {}) {
+    /**
+     * Translate a key in the user locale, or the guild locale, or the bot default locale
+     * @param key {string} the translation key
+     * @param vars {Object} the values replacing the {placeholders}
+     * @return {string}
+     */
+    return this.bot.t(key, vars, [this.userLocale, this.guildLocale]);
+  }
+
+  injectSubcommand({ subcommandGroup = null, subcommand = null }) {
+    /**
+     * @param subcommandGroup {string | null}
+     * @param subcommand {string | null}
+     * @return {void}
+     */
+    this.subcommandGroup = subcommandGroup;
+    this.subcommand = subcommand;
+  }
+
+  get isMessage() {
+    /**
+     * @return {boolean} whether the original object is a message rather than an interaction
+     */
+    return Boolean(this.originalObject.author) && typeof this.originalObject.deferReply !== 'function';
+  }
+
   async defer() {
     /**
+     * Tell Discord the reply will take time, a typing indicator for the messages
      * @return {Promise<void>}
      */
-    if (this.originalObject.deferReply) {
+    if (this.isMessage) {
+      await this.sendTyping();
+      return;
+    }
+    if (this.originalObject.deferReply && !this._isAnswered()) {
       await this.originalObject.deferReply();
+      this.deferred = true;
     }
-    return Promise.resolve();
   }
 
-  async reply({ content, components = [], ephemeral = false }) {
+  async reply({
+    content, components = [], embeds = [], files = [], allowedMentions, ephemeral = false,
+  }) {
     /**
+     * Reply to the interaction or the message, editing the reply if it has already been replied to
      * @param content {string} the message content
-     * @param components {any[]} an array of embeds
-     * @param ephemeral {boolean} if the message should be ephemeral
-     * @param edit {boolean} should we edit the message or create a "follow up"
-     * @return {Promise<void>}
+     * @param components {any[]} an array of action rows
+     * @param embeds {any[]} an array of embeds
+     * @param files {any[]} the attachments, as paths, buffers or AttachmentBuilder
+     * @param allowedMentions {import('discord.js').MessageMentionOptions | undefined} who can be pinged by the reply
+     * @param ephemeral {boolean} if the message should be ephemeral (not possible when replying to a message)
+     * @return {Promise<import('discord.js').Message>} the reply
      * @throws {Error}
      */
+    const payload = messagePayload({ content, components, embeds, files, allowedMentions });
 
-    let repliedWith = 'none';
+    if (this._isAnswered()) {
+      return this.editReply(payload);
+    }
 
     try {
-      await this.originalObject.reply({ content, components, ephemeral });
-      repliedWith = 'reply';
+      this.replyMessage = this.isMessage
+        ? await this.originalObject.reply(payload)
+        : await this.originalObject.reply({ ...payload, ephemeral, fetchReply: true });
+      this.replied = true;
     } catch (e) {
       this.bot.warn(`Failed to reply to an interaction because "${e.message}"`);
-      this.bot.warn(e);
-    }
-    if (repliedWith === 'none') {
-      try {
-        await this.originalObject.editReply({ content, components, ephemeral });
-      } catch (e) {
-        this.bot.warn(`Failed to editReply to an interaction because "${e.message}"`);
-        this.bot.warn(e);
-      }
+      throw new Error('failed to reply to interaction');
     }
-    if (repliedWith === 'none') {
-      try {
-        await this.originalObject.followUp({ content, components, ephemeral });
-      } catch (e) {
-        this.bot.warn(`Failed to followUp to an interaction because "${e.message}"`);
-        this.bot.warn(e);
+    return this.replyMessage;
+  }
+
+  async editReply({ content, components, embeds, files, allowedMentions }) {
+    /**
+     * Edit the reply, or send it for a deferred interaction
+     * @param content {string | undefined} the new content
+     * @param components {any[] | undefined} the new action rows
+     * @param embeds {any[] | undefined} the new embeds
+     * @param files {any[] | undefined} the new attachments
+     * @param allowedMentions {import('discord.js').MessageMentionOptions | undefined}
+     * @return {Promise<import('discord.js').Message>} the reply
+     * @throws {Error}
+     */
+    const payload = messagePayload({ content, components, embeds, files, allowedMentions });
+
+    if (this.isMessage) {
+      if (!this.replyMessage) {
+        throw new Error('Nothing to edit, the message has not been replied to');
       }
+      this.replyMessage = await this.replyMessage.edit(payload);
+      return this.replyMessage;
     }
 
-    if (repliedWith === 'none') {
-      throw new Error('failed to reply to interaction');
+    if (!this._isAnswered()) {
+      throw new Error('Nothing to edit, the interaction has not been replied to');
     }
-
-    return Promise.resolve();
+    this.replyMessage = await this.originalObject.editReply(payload);
+    this.replied = true;
+    return this.replyMessage;
   }
 
-  async followUp({ content, embeds, ephemeral }) {
+  async followUp({
+    content, components, embeds, files, allowedMentions, ephemeral = false,
+  }) {
     /**
+     * Send another message after the reply, or the reply itself if there is none yet
      * @param content {string} the message content
-     * @param embeds {any[]}
+     * @param components {any[] | undefined}
+     * @param embeds {any[] | undefined}
+     * @param files {any[] | undefined}
+     * @param allowedMentions {import('discord.js').MessageMentionOptions | undefined}
      * @param ephemeral {boolean}
+     * @return {Promise<import('discord.js').Message>} the follow up message
+     * @throws {Error}
+     */
+    if (!this._isAnswered()) {
+      return this.reply({ content, components, embeds, files, allowedMentions, ephemeral });
+    }
+
+    const payload = messagePayload({ content, components, embeds, files, allowedMentions });
+    try {
+      return this.isMessage
+        ? await this.originalObject.reply(payload)
+        : await this.originalObject.followUp({ ...payload, ephemeral });
+    } catch (e) {
+      this.bot.debug('🤖 an error occurred while trying to followup:', e.message);
+      throw e;
+    }
+  }
+
+  async deleteReply() {
+    /**
      * @return {Promise<void>}
      * @throws {Error}
      */
-    if (!this.replied) {
-      await this.reply({ content, embeds, ephemeral });
-    } else {
-      try {
-        await this.originalObject.followUp({ content, embeds, ephemeral });
-      } catch (e) {
-        this.bot.debug('🤖 an error occurred while trying to followup:', e.message);
-        return Promise.reject(e);
+    if (this.isMessage) {
+      if (this.replyMessage) {
+        await this.replyMessage.delete();
       }
+    } else {
+      await this.originalObject.deleteReply();
+    }
+    this.replyMessage = null;
+  }
+
+  async replyThenDeleteAfter(reply, delay = 5000) {
+    /**
+     * Reply with a message deleted after a while, like a notice
+     * @param reply {Object} what reply() accepts
+     * @param delay {number} the milliseconds before deleting the reply
+     * @return {Promise<import('discord.js').Message>} the reply
+     * @throws {Error}
+     */
+    const message = await this.reply(reply);
+    const timer = setTimeout(() => {
+      this.deleteReply().catch(e => this.bot.debug(`Unable to delete a reply: ${e.message}`));
+    }, delay);
+    // A pending deletion must not keep the process alive
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    return message;
+  }
+
+  async react(emoji) {
+    /**
+     * React to the message, or to the reply (or the message holding the components) for an interaction
+     * @param emoji {string | import('discord.js').EmojiIdentifierResolvable}
+     * @return {Promise<void>}
+     * @throws {Error}
+     */
+    const message = this.isMessage ? this.originalObject : this.replyMessage || this.originalObject.message;
+    if (!message) {
+      throw new Error('Nothing to react to, reply to the interaction first');
+    }
+    await message.react(emoji);
+  }
+
+  _isAnswered() {
+    /**
+     * @private
+     * @return {boolean} whether the interaction has been replied to or deferred, here or on the original object
+     */
+    if (this.replied || this.deferred) {
+      return true;
+    }
+    return !this.isMessage && Boolean(this.originalObject.replied || this.originalObject.deferred);
+  }
+
+  async sendTyping() {
+    /**
+     * Show that the bot is typing in the channel, for a few seconds or until it sends a message
+     * @return {Promise<void>}
+     */
+    if (this.channel && typeof this.channel.sendTyping === 'function') {
+      await this.channel.sendTyping();
+    }
+  }
+
+  async update({ content, components, embeds }) {
+    /**
+     * Edit the message a button or a select menu belongs to, instead of replying
+     * @param content {string | undefined} the new message content
+     * @param components {any[] | undefined} the new action rows
+     * @param embeds {any[] | undefined} the new embeds
+     * @return {Promise<void>}
+     * @throws {Error}
+     */
+    if (!this.isButton && !this.isSelectMenu) {
+      throw new Error('update() can only be used on buttons and select menus interactions');
+    }
+    await this.originalObject.update({ content, components, embeds });
+    this.replied = true;
+  }
+
+  createSession(options = {}) {
+    /**
+     * Attach a server side state to the components of the reply, see ComponentSession
+     * @param options {{state: any, ttl: number, restrictTo: 'author' | 'anyone' | {users: string[], roles: string[]}}}
+     * @return {Promise<ComponentSession>}
+     */
+    return this.bot.sessions.create(this, options);
+  }
+
+  async showModal(modal) {
+    /**
+     * Open a modal dialog, only possible in reply to a slash command, a button or a select menu
+     * @param modal {import('discord.js').ModalBuilder | Object} a modal or a modal definition for the modal builder
+     * @return {Promise<void>}
+     * @throws {Error}
+     */
+    if (typeof this.originalObject.showModal !== 'function' || this.isModalSubmit) {
+      throw new Error('Modals can only be shown in reply to a slash command, a button or a select menu');
+    }
+
+    const built = typeof modal.toJSON === 'function' ? modal : buildModal(modal);
+    await this.originalObject.showModal(built);
+    this.replied = true;
+  }
+
+  async respond(choices = []) {
+    /**
+     * Respond to an autocomplete interaction, Discord accepts 25 choices at most
+     * @param choices {Choice[]} the choices to suggest
+     * @return {Promise<void>}
+     * @throws {Error}
+     */
+    if (!this.isAutocomplete) {
+      throw new Error('respond() can only be used on autocomplete interactions');
+    }
+
+    if (choices.length > 25) {
+      this.bot.debug(`Autocomplete "${this.commandName}" returned ${choices.length} choices, only the first 25 are sent`);
+    }
+
+    try {
+      await this.originalObject.respond(choices.slice(0, 25));
+      this.replied = true;
+    } catch (e) {
+      this.bot.warn(`Failed to respond to an autocomplete interaction because "${e.message}"`);
     }
-    return Promise.resolve();
   }
 
   async joinVocalChannel(channelNameOrId) {
@@ -0,0 +1,108 @@
+import { PermissionsBitField } from 'discord.js';
+import GuildSettings from '../GuildSettings.js';
+
+const choices = GuildSettings.keys.map(key => ({ name: key, value: key }));
+
+const adminOnly = (interaction, next) => {
+  if (interaction.isDM || !interaction.author.member || !interaction.author.isAdminOfGuild) {
+    return interaction.reply({ content: interaction.t('config.adminOnly'), ephemeral: true });
+  }
+  return next();
+};
+
+const parseValue = async (interaction, key, value) => {
+  /**
+   * @param interaction {UnifiedInteraction}
+   * @param key {string} the setting name
+   * @param value {string} the raw value
+   * @returns {Promise<string>}
+   * @throws {Error} when the value is invalid
+   */
+  switch (key) {
+    case 'prefix':
+      if (/\s/.test(value)) {
+        throw new Error(interaction.t('config.invalidPrefix'));
+      }
+      return value;
+    case 'serviceMessagesChannelId': {
+      const match = value.match(/^<#(\d+)>$/);
+      const channel = await interaction.getChannel(match ? match[1] : value);
+      if (!channel) {
+        throw new Error(interaction.t('config.unknownChannel', { channel: value }));
+      }
+      return channel.id;
+    }
+    default:
+      return value;
+  }
+};
+
+const format = (key, value) => {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+  return key === 'serviceMessagesChannelId' ? `<#${value}>` : `\`${value}\``;
+};
+
+const getHandler = async interaction => {
+  const settings = interaction.bot.guildSettings;
+  const { key } = interaction.commandOptions;
+  const keys = key ? [key] : GuildSettings.keys;
+  const values = await settings.getAll(interaction.guild.id);
+
+  const lines = await Promise.all(keys.map(async k => {
+    const overridden = await settings.isOverridden(interaction.guild.id, k);
+    return `**${k}**: ${format(k, values[k])}${overridden ? '' : ` (${interaction.t('config.default')})`}`;
+  }));
+
+  return interaction.reply({ content: lines.join('\n'), ephemeral: true });
+};
+
+const setHandler = async interaction => {
+  const { key, value } = interaction.commandOptions;
+  let parsed;
+  try {
+    parsed = await parseValue(interaction, key, value);
+  } catch (e) {
+    return interaction.reply({ content: e.message, ephemeral: true });
+  }
+  await interaction.bot.guildSettings.set(interaction.guild.id, key, parsed);
+  return interaction.reply({ content: interaction.t('config.set', { key, value: format(key, parsed) }), ephemeral: true });
+};
+
+const resetHandler = async interaction => {
+  const { key } = interaction.commandOptions;
+  await interaction.bot.guildSettings.reset(interaction.guild.id, key);
+  const content = key ? interaction.t('config.reset', { key }) : interaction.t('config.resetAll');
+  return interaction.reply({ content, ephemeral: true });
+};
+
+export default {
+  name: 'config',
+  description: 'Manage the bot settings for this guild',
+  requiredPermissions: [PermissionsBitField.Flags.Administrator],
+  middlewares: [adminOnly],
+  subcommands: [
+    {
+      name: 'get',
+      description: 'Show the bot settings',
+      options: [{ name: 'key', description: 'The setting to show', type: 'string', choices }],
+      commandHandler: getHandler,
+    },
+    {
+      name: 'set',
+      description: 'Change a bot setting',
+      options: [
+        { name: 'key', description: 'The setting to change', type: 'string', choices, required: true },
+        { name: 'value', description: 'The new value', type: 'string', required: true },
+      ],
+      commandHandler: setHandler,
+    },
+    {
+      name: 'reset',
+      description: 'Go back to the default value of one or all the settings',
+      options: [{ name: 'key', description: 'The setting to reset', type: 'string', choices }],
+      commandHandler: resetHandler,
+    },
+  ],
+};
@@ -0,0 +1,150 @@
+import { ButtonStyle, EmbedBuilder } from 'discord.js';
+import { buildButtonsMenu } from '../utils/menusBuilders.js';
+
+const commandsPerPage = 10;
+const maxPages = 25;
+
+const translated = (interaction, key, fallback) => {
+  const translation = interaction.t(key);
+  return translation === key ? fallback : translation;
+};
+
+const listedCommands = interaction => interaction.bot.commands
+  .filter(command => !command.contextMenu
+    && (command.isSlashCommand || command.isMessageCommand)
+    && (typeof command.commandHandler === 'function' || command.hasSubcommands)
+    && command.isAllowedFor(interaction))
+  // The commands without category come last
+  .sort((a, b) => String(a.category || '\uffff').localeCompare(String(b.category || '\uffff')) || a.name.localeCompare(b.name));
+
+const mainPrefix = (interaction, command) => (command.isSlashCommand ? '/' : interaction.prefix);
+
+const subcommandsOf = command => [
+  ...command.subcommands.map(subcommand => ({ subcommand })),
+  ...command.subcommandGroups.flatMap(group => group.subcommands.map(subcommand => ({ group, subcommand }))),
+];
+
+const renderPage = (interaction, page) => {
+  /**
+   * @param interaction {UnifiedInteraction}
+   * @param page {number} the page to render, starting at 1
+   * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+   */
+  const commands = listedCommands(interaction);
+  if (commands.length === 0) {
+    return { content: interaction.t('help.none'), embeds: [], components: [] };
+  }
+
+  const pages = Math.min(Math.ceil(commands.length / commandsPerPage), maxPages);
+  const current = Math.min(Math.max(1, page), pages);
+  const lines = [];
+  let category;
+  commands.slice((current - 1) * commandsPerPage, current * commandsPerPage).forEach(command => {
+    const commandCategory = command.category || interaction.t('help.otherCategory');
+    if (commandCategory !== category) {
+      category = commandCategory;
+      lines.push(`\n**${category}**`);
+    }
+    const description = translated(interaction, `commands.${command.name}.description`, command.description);
+    lines.push(`\`${mainPrefix(interaction, command)}${command.name}\` ${description}`);
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(interaction.t('help.title'))
+    .setDescription(lines.join('\n').trim())
+    .setFooter({ text: interaction.t('help.footer', { page: current, pages, usage: '/help <command>' }) });
+
+  const components = pages > 1 ? buildButtonsMenu([
+    { id: current - 1, label: interaction.t('help.previous'), style: ButtonStyle.Secondary, disabled: current === 1 },
+    { id: current + 1, label: interaction.t('help.next'), style: ButtonStyle.Secondary, disabled: current === pages },
+  ], 'help-page-:id') : [];
+
+  return { embeds: [embed], components };
+};
+
+const renderCommand = (interaction, command) => {
+  /**
+   * @param interaction {UnifiedInteraction}
+   * @param command {Command}
+   * @returns {{embeds: EmbedBuilder[]}}
+   */
+  const prefixes = [command.isSlashCommand && '/', command.isMessageCommand && interaction.prefix].filter(Boolean);
+  const usages = prefixes.flatMap(prefix => command.usages(prefix));
+
+  const options = command.hasSubcommands
+    ? subcommandsOf(command).map(({ group, subcommand }) => {
+      const path = [group && group.name, subcommand.name].filter(Boolean).join(' ');
+      return `\`${path}\` ${subcommand.description}`;
+    })
+    : command.options.map(opt => {
+      const required = opt.required ? ` (${interaction.t('help.required')})` : '';
+      return `\`${opt.name}\` ${opt.description}${required}`;
+    });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${mainPrefix(interaction, command)}${command.name}`)
+    .setDescription(translated(interaction, `commands.${command.name}.description`, command.description))
+    .addFields({ name: interaction.t('help.usage'), value: usages.map(usage => `\`${usage}\``).join('\n') });
+
+  if (options.length > 0) {
+    embed.addFields({
+      name: interaction.t(command.hasSubcommands ? 'help.subcommands' : 'help.options'),
+      value: options.join('\n').slice(0, 1024),
+    });
+  }
+  if (command.examples.length > 0) {
+    embed.addFields({
+      name: interaction.t('help.examples'),
+      value: command.examples.map(example => `\`${example}\``).join('\n').slice(0, 1024),
+    });
+  }
+  if (command.category) {
+    embed.setFooter({ text: command.category });
+  }
+
+  return { embeds: [embed] };
+};
+
+const helpHandler = interaction => {
+  const { command: name } = interaction.commandOptions;
+  if (!name) {
+    return interaction.reply({ ...renderPage(interaction, 1), ephemeral: true });
+  }
+
+  let commandName = name.toLowerCase();
+  [interaction.prefix, '/'].forEach(prefix => {
+    if (commandName.startsWith(prefix)) {
+      commandName = commandName.slice(prefix.length);
+    }
+  });
+  const command = listedCommands(interaction).find(c => c.name === commandName);
+  if (!command) {
+    return interaction.reply({ content: interaction.t('help.unknown', { command: name }), ephemeral: true });
+  }
+  return interaction.reply({ ...renderCommand(interaction, command), ephemeral: true });
+};
+
+const pageHandler = interaction => {
+  const page = parseInt(interaction.componentParams.page, 10) || 1;
+  return interaction.update(renderPage(interaction, page));
+};
+
+const autocompleteHandler = interaction => {
+  const typed = String(interaction.focusedOption.value).toLowerCase();
+  return interaction.respond(listedCommands(interaction)
+    .filter(command => command.name.includes(typed))
+    .map(command => ({ name: command.name, value: command.name })));
+};
+
+export default {
+  name: 'help',
+  description: 'Show the commands you can use',
+  acceptDM: true,
+  options: [
+    { name: 'command', description: 'The command to get details about', type: 'string', autocomplete: true },
+  ],
+  buttonsHandheld: ['help-page-:page'],
+  commandHandler: helpHandler,
+  buttonsHandler: pageHandler,
+  autocompleteHandler,
+};
@@ -0,0 +1,40 @@
+import { paginatorButtons, paginatorSelectMenu, renderPaginatorPage } from '../utils/paginator.js';
+
+const showPage = async (interaction, page) => {
+  const { session } = interaction;
+  if (!session) {
+    return interaction.reply({ content: interaction.t('bot.sessionExpired'), ephemeral: true });
+  }
+
+  const { pages } = session.state;
+  session.state.page = Math.min(Math.max(0, page), pages.length - 1);
+  await session.save();
+
+  const { embeds, components } = renderPaginatorPage(interaction, pages, session.state.page);
+  return interaction.update({ embeds, components: session.components(components) });
+};
+
+const buttonsHandler = interaction => {
+  const { page, pages } = interaction.session ? interaction.session.state : { page: 0, pages: [] };
+  const pageByButton = {
+    'paginator-first': 0,
+    'paginator-previous': page - 1,
+    'paginator-next': page + 1,
+    'paginator-last': pages.length - 1,
+  };
+  return showPage(interaction, pageByButton[interaction.buttonId]);
+};
+
+const selectMenusHandler = interaction => showPage(interaction, parseInt(interaction.selectMenuValues[0], 10));
+
+export default {
+  name: 'paginator',
+  description: 'Browse the pages sent with Builders.paginate()',
+  isSlashCommand: false,
+  isMessageCommand: false,
+  acceptDM: true,
+  buttonsHandheld: paginatorButtons,
+  selectMenusHandheld: [paginatorSelectMenu],
+  buttonsHandler,
+  selectMenusHandler,
+};
@@ -0,0 +1,227 @@
+import { PermissionsBitField } from 'discord.js';
+import {
+  fakeChannel, fakeClient, fakeGuild, fakeInteraction, fakeMember, fakeMessage, fakeOptions, fakeUser,
+} from './fakes.js';
+import DiscordBot from '../DiscordBot.js';
+
+class TestBot extends DiscordBot {
+  constructor({ commands = [], ...options } = {}) {
+    /**
+     * A bot which never connects to Discord, to test the commands: the interactions are fabricated,
+     * handled like real ones and what the bot replies is recorded on them.
+     * A test guild, with a test channel and a test member, is ready to use.
+     * @param commands {CommandDefinition[]} the commands to test
+     * @param options {Object} the DiscordBot options
+     * @returns {TestBot}
+     */
+    super({
+      env: {},
+      prefix: '!',
+      autoDiscoverCommands: false,
+      noPersistentStorage: true,
+      useInternalLogger: false,
+      errorContent: null,
+      helloMessage: null,
+      goodbyeMessage: null,
+      handleSignals: false,
+      serviceMessagesChannelId: null,
+      localesDirPath: null,
+      defaultLocale: 'en-US',
+      guildIds: [],
+      ...options,
+      client: fakeClient(),
+    });
+
+    this.persistentStorage = null;
+    this.logs = [];
+    this.on('log', log => this.logs.push(log));
+
+    this.testGuild = this.addGuild();
+    this.testChannel = fakeChannel({ guild: this.testGuild });
+    this.testMember = fakeMember({ guild: this.testGuild, user: fakeUser({ username: 'tester' }) });
+
+    this.addCommands(commands);
+  }
+
+  static async create(options = {}) {
+    /**
+     * Build a test bot ready to handle interactions
+     * @param options {Object} the TestBot options
+     * @returns {Promise<TestBot>}
+     */
+    const bot = new TestBot(options);
+    await bot.setup();
+    return bot;
+  }
+
+  async setup() {
+    /**
+     * What start() does, without connecting to Discord, the commands hooks included
+     * @returns {Promise<void>}
+     */
+    await this.i18n.load();
+    this._addBuiltInCommands();
+    this._listCommands();
+    await this._runHooks('beforeStart');
+    this.isReady = true;
+    await this._runHooks('ready', false);
+  }
+
+  addGuild({ botPermissions = [PermissionsBitField.Flags.Administrator], ...guildOptions } = {}) {
+    /**
+     * @param botPermissions {bigint[]} the permissions of the bot in the guild (default: Administrator)
+     * @param guildOptions {Object} the fakeGuild options
+     * @returns {Object} a fake guild the bot is a member of
+     */
+    const guild = fakeGuild(guildOptions);
+    guild.members.me = fakeMember({ guild, user: this.client.user, permissions: botPermissions });
+    this.client.guilds.cache.set(guild.id, guild);
+    return guild;
+  }
+
+  addMember({ guild = this.testGuild, username = 'member', ...memberOptions } = {}) {
+    /**
+     * @param guild {Object} the fake guild (default: the test guild)
+     * @param username {string}
+     * @param memberOptions {Object} the fakeMember options (roles, permissions, nickname)
+     * @returns {Object} a fake guild member
+     */
+    return fakeMember({ guild, user: fakeUser({ username }), ...memberOptions });
+  }
+
+  _author({ member, user, dm = false }) {
+    /**
+     * @private
+     * @param member {Object | undefined} the fake member
+     * @param user {Object | undefined} the fake user
+     * @param dm {boolean} whether the interaction happens in DM
+     * @returns {{member: Object | null, user: Object | null, channel: Object}}
+     */
+    if (dm || (user && !member)) {
+      const author = user || (member ? member.user : this.testMember.user);
+      return { member: null, user: author, channel: fakeChannel() };
+    }
+    const author = member || this.testMember;
+    const channel = author.guild === this.testGuild ? this.testChannel : fakeChannel({ guild: author.guild });
+    return { member: author, user: null, channel };
+  }
+
+  async dispatch(raw) {
+    /**
+     * Handle a fake interaction or message like the bot does with the real ones, and wait for the handlers
+     * @param raw {Object} the fake interaction or message
+     * @returns {Promise<Object>} the same fake, with the recorded calls
+     * @throws
+     */
+    await this._handleInteraction(raw);
+    await this.idle();
+    return raw;
+  }
+
+  slashCommand(commandName, { options = {}, subcommand = null, subcommandGroup = null, locale, ...author } = {}) {
+    /**
+     * @param commandName {string}
+     * @param options {Object.<string, any>} the options values by name
+     * @param subcommand {string | null}
+     * @param subcommandGroup {string | null}
+     * @param locale {string | undefined} the user locale
+     * @param author {{member: Object | undefined, user: Object | undefined, dm: boolean | undefined}}
+     * @returns {Promise<Object>} the fake interaction
+     */
+    return this.dispatch(fakeInteraction({
+      kind: 'slashCommand',
+      commandName,
+      locale,
+      options: fakeOptions({ values: options, subcommand, subcommandGroup }),
+      ...this._author(author),
+    }));
+  }
+
+  autocomplete(commandName, focused, { options = {}, subcommand = null, subcommandGroup = null, ...author } = {}) {
+    /**
+     * @param commandName {string}
+     * @param focused {string} the name of the option being typed
+     * @param options {Object.<string, any>} the options values by name
+     * @param subcommand {string | null}
+     * @param subcommandGroup {string | null}
+     * @param author {{member: Object | undefined, user: Object | undefined, dm: boolean | undefined}}
+     * @returns {Promise<Object>} the fake interaction
+     */
+    return this.dispatch(fakeInteraction({
+      kind: 'autocomplete',
+      commandName,
+      options: fakeOptions({ values: options, subcommand, subcommandGroup, focused }),
+      ...this._author(author),
+    }));
+  }
+
+  button(customId, { message, ...author } = {}) {
+    /**
+     * @param customId {string} the button id
+     * @param message {Object | undefined} the fake message holding the button, like a previous reply
+     * @param author {{member: Object | undefined, user: Object | undefined, dm: boolean | undefined}}
+     * @returns {Promise<Object>} the fake interaction
+     */
+    return this.dispatch(fakeInteraction({ kind: 'button', customId, message, ...this._author(author) }));
+  }
+
+  selectMenu(customId, values = [], { message, ...author } = {}) {
+    /**
+     * @param customId {string} the select menu id
+     * @param values {string[]} the chosen values
+     * @param message {Object | undefined} the fake message holding the select menu, like a previous reply
+     * @param author {{member: Object | undefined, user: Object | undefined, dm: boolean | undefined}}
+     * @returns {Promise<Object>} the fake interaction
+     */
+    return this.dispatch(fakeInteraction({ kind: 'selectMenu', customId, values, message, ...this._author(author) }));
+  }
+
+  modalSubmit(customId, fields = {}, author = {}) {
+    /**
+     * @param customId {string} the modal id
+     * @param fields {Object.<string, string>} the submitted values by field id
+     * @param author {{member: Object | undefined, user: Object | undefined, dm: boolean | undefined}}
+     * @returns {Promise<Object>} the fake interaction
+     */
+    const submitted = new Map(Object.entries(fields).map(([id, value]) => [id, { customId: id, value }]));
+    return this.dispatch(fakeInteraction({ kind: 'modalSubmit', customId, fields: { fields: submitted }, ...this._author(author) }));
+  }
+
+  message(content, { mentions = [], attachments = [], ...author } = {}) {
+    /**
+     * A message in a guild channel (or in DM with `dm: true`), prefixed ones being message commands
+     * @param content {string}
+     * @param mentions {Object[]} the mentioned fake users
+     * @param attachments {Object[]} the attachments
+     * @param author {{member: Object | undefined, user: Object | undefined, dm: boolean | undefined}}
+     * @returns {Promise<Object>} the fake message
+     */
+    const { member, user, channel } = this._author(author);
+    return this.dispatch(fakeMessage({
+      content, mentions, attachments, member, user, channel, guild: member ? member.guild : null,
+    }));
+  }
+
+  mention(content = '', options = {}) {
+    /**
+     * A message mentioning the bot
+     * @param content {string} the text following the mention
+     * @param options {Object} the message options
+     * @returns {Promise<Object>} the fake message
+     */
+    const { user } = this.client;
+    return this.message(`${user} ${content}`.trim(), { ...options, mentions: [user, ...options.mentions || []] });
+  }
+
+  directMessage(content, { user = this.testMember.user, ...options } = {}) {
+    /**
+     * @param content {string}
+     * @param user {Object} the fake user sending the message (default: the test member)
+     * @param options {Object} the message options
+     * @returns {Promise<Object>} the fake message
+     */
+    return this.message(content, { ...options, user, dm: true });
+  }
+}
+
+export default TestBot;
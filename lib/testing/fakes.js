@@ -0,0 +1,453 @@
+import { EventEmitter } from 'node:events';
+import { ChannelType, Collection, PermissionsBitField } from 'discord.js';
+
+/**
+ * Minimal stand-ins for the discord.js objects the bot reads, so the commands can be run without network.
+ * Everything the bot sends is recorded in the `calls` (interactions) or `sent` (channels, users) arrays.
+ */
+
+let lastId = 100000000000000000n;
+
+export const fakeId = () => {
+  /**
+   * @returns {string} a new snowflake like id
+   */
+  lastId += 1n;
+  return String(lastId);
+};
+
+export const fakeManager = (items = []) => {
+  /**
+   * A manager with a cache and a fetch method, like the discord.js ones
+   * @param items {Object[]} the cached items, with an id
+   * @returns {{cache: Collection, fetch: Function}}
+   */
+  const cache = new Collection(items.map(item => [item.id, item]));
+  return {
+    cache,
+    fetch(id = undefined) {
+      /**
+       * @param id {string | undefined} the item to fetch, all of them if omitted
+       * @returns {Promise<Object | Collection>}
+       */
+      if (typeof id !== 'string') {
+        return Promise.resolve(cache);
+      }
+      return cache.has(id) ? Promise.resolve(cache.get(id)) : Promise.reject(new Error(`Unknown item ${id}`));
+    },
+  };
+};
+
+export const fakeUser = ({ id = fakeId(), username = 'user', bot = false } = {}) => {
+  /**
+   * @param id {string}
+   * @param username {string}
+   * @param bot {boolean} whether the user is a bot
+   * @returns {Object} a fake discord.js User, recording the DMs in `sent`
+   */
+  const user = {
+    id,
+    username,
+    bot,
+    discriminator: '0001',
+    tag: `${username}#0001`,
+    sent: [],
+    send(message) {
+      user.sent.push(message);
+      return Promise.resolve(message);
+    },
+    toString: () => `<@${id}>`,
+  };
+  return user;
+};
+
+export const fakeRole = ({ id = fakeId(), name = 'role', permissions = [] } = {}) => {
+  /**
+   * @param id {string}
+   * @param name {string}
+   * @param permissions {bigint[]} the role permissions (PermissionsBitField.Flags)
+   * @returns {Object} a fake discord.js Role
+   */
+  const role = {
+    id,
+    name,
+    permissions: new PermissionsBitField(permissions),
+    toString: () => `<@&${id}>`,
+  };
+  return role;
+};
+
+export const fakeChannel = ({ id = fakeId(), name = 'general', guild = null, type = ChannelType.GuildText } = {}) => {
+  /**
+   * @param id {string}
+   * @param name {string}
+   * @param guild {Object | null} the fake guild, null for a DM channel
+   * @param type {number} the channel type (ChannelType)
+   * @returns {Object} a fake discord.js channel, recording the sent messages in `sent`
+   */
+  const channel = {
+    id,
+    name,
+    guild,
+    type: guild ? type : ChannelType.DM,
+    sent: [],
+    messages: fakeManager(),
+    send(message) {
+      channel.sent.push(message);
+      return Promise.resolve(message);
+    },
+    sendTyping: () => Promise.resolve(),
+    // No permission overwrites: the member permissions apply in every channel
+    permissionsFor: member => (member ? member.permissions : null),
+    isTextBased: () => true,
+    toString: () => `<#${id}>`,
+  };
+  if (guild) {
+    guild.channels.cache.set(id, channel);
+  }
+  return channel;
+};
+
+export const fakeGuild = ({ id = fakeId(), name = 'Test guild', ownerId = null, preferredLocale = 'en-US', roles = [] } = {}) => {
+  /**
+   * @param id {string}
+   * @param name {string}
+   * @param ownerId {string | null} the owner user id
+   * @param preferredLocale {string}
+   * @param roles {Array<string | Object>} the guild roles, as names or fake roles
+   * @returns {Object} a fake discord.js Guild
+   */
+  const guild = {
+    id,
+    name,
+    ownerId,
+    preferredLocale,
+    members: fakeManager(),
+    roles: fakeManager(),
+    channels: fakeManager(),
+    toString: () => name,
+  };
+  roles.forEach(role => {
+    const guildRole = typeof role === 'string' ? fakeRole({ name: role }) : role;
+    guild.roles.cache.set(guildRole.id, guildRole);
+  });
+  return guild;
+};
+
+const findRole = (guild, roleNameOrId) => {
+  /**
+   * Find a guild role, creating it when it does not exist
+   * @param guild {Object} the fake guild
+   * @param roleNameOrId {string | Object} the role name, id or fake role
+   * @returns {Object}
+   */
+  if (typeof roleNameOrId === 'object') {
+    guild.roles.cache.set(roleNameOrId.id, roleNameOrId);
+    return roleNameOrId;
+  }
+  const existing = guild.roles.cache.find(r => r.name === roleNameOrId || r.id === roleNameOrId);
+  if (existing) {
+    return existing;
+  }
+  const role = fakeRole({ name: roleNameOrId });
+  guild.roles.cache.set(role.id, role);
+  return role;
+};
+
+export const fakeMember = ({ guild, user = fakeUser(), roles = [], permissions = [], nickname = null }) => {
+  /**
+   * A guild member, added to the guild members
+   * @param guild {Object} the fake guild
+   * @param user {Object} the fake user
+   * @param roles {Array<string | Object>} the member roles, as names, ids or fake roles (created in the guild if needed)
+   * @param permissions {bigint[]} the permissions given to the member besides its roles ones
+   * @param nickname {string | null}
+   * @returns {Object} a fake discord.js GuildMember
+   */
+  const roleCache = new Collection(roles.map(role => findRole(guild, role)).map(role => [role.id, role]));
+  const member = {
+    id: user.id,
+    user,
+    guild,
+    nickname,
+    voice: { channel: null, channelId: null },
+    roles: {
+      cache: roleCache,
+      add(role) {
+        const added = findRole(guild, role);
+        roleCache.set(added.id, added);
+        return Promise.resolve(member);
+      },
+      remove(role) {
+        roleCache.delete(typeof role === 'object' ? role.id : findRole(guild, role).id);
+        return Promise.resolve(member);
+      },
+    },
+    get displayName() {
+      return member.nickname || user.username;
+    },
+    get permissions() {
+      return new PermissionsBitField([...permissions, ...roleCache.map(role => role.permissions.bitfield)]);
+    },
+    setNickname(newNickname) {
+      member.nickname = newNickname;
+      return Promise.resolve(member);
+    },
+    toString: () => `<@${user.id}>`,
+  };
+  guild.members.cache.set(user.id, member);
+  return member;
+};
+
+export const fakeClient = ({ username = 'TestBot' } = {}) => {
+  /**
+   * A client which never connects to Discord
+   * @param username {string} the bot username
+   * @returns {EventEmitter} a fake discord.js Client
+   */
+  const client = new EventEmitter();
+  client.user = fakeUser({ username, bot: true });
+  client.user.setPresence = () => Promise.resolve();
+  client.guilds = fakeManager();
+  client.users = fakeManager([client.user]);
+  client.channels = fakeManager();
+  client.login = () => Promise.resolve('token');
+  client.destroy = () => client.removeAllListeners();
+  client.isReady = () => true;
+  return client;
+};
+
+const recorder = target => {
+  /**
+   * The reply methods of an interaction, recording their calls
+   * @param target {Object} the fake interaction
+   * @returns {Object.<string, Function>}
+   */
+  const { calls } = target;
+  const record = (type, payload) => {
+    calls.push({ type, payload });
+    return Promise.resolve(payload);
+  };
+  const replyMessage = () => {
+    if (!target.replyMessage) {
+      const replied = calls.find(call => ['reply', 'editReply', 'update'].includes(call.type));
+      // After an update, the reply is the message holding the button or the select menu
+      target.replyMessage = replied && replied.type === 'update' && target.message
+        ? target.message
+        : fakeMessage({ ...replied && replied.payload, channel: target.channel });
+    }
+    return target.replyMessage;
+  };
+  const alreadyReplied = () => Promise.reject(new Error('The reply to this interaction has already been sent or deferred.'));
+  const notReplied = () => Promise.reject(new Error('The reply to this interaction has not been sent or deferred.'));
+
+  return {
+    reply(payload) {
+      if (target.replied || target.deferred) {
+        return alreadyReplied();
+      }
+      target.replied = true;
+      record('reply', payload);
+      return Promise.resolve(payload.fetchReply ? replyMessage() : payload);
+    },
+    deferReply(payload = {}) {
+      if (target.replied || target.deferred) {
+        return alreadyReplied();
+      }
+      target.deferred = true;
+      return record('deferReply', payload);
+    },
+    editReply(payload) {
+      if (!target.replied && !target.deferred) {
+        return notReplied();
+      }
+      target.replied = true;
+      record('editReply', payload);
+      return replyMessage().edit(payload);
+    },
+    followUp(payload) {
+      if (!target.replied && !target.deferred) {
+        return notReplied();
+      }
+      record('followUp', payload);
+      return Promise.resolve(fakeMessage({ ...payload, channel: target.channel }));
+    },
+    deleteReply() {
+      return record('deleteReply', null);
+    },
+    fetchReply() {
+      if (!target.replied && !target.deferred) {
+        return notReplied();
+      }
+      return Promise.resolve(replyMessage());
+    },
+  };
+};
+
+const kinds = {
+  isChatInputCommand: 'slashCommand',
+  isCommand: 'slashCommand',
+  isButton: 'button',
+  isSelectMenu: 'selectMenu',
+  isAnySelectMenu: 'selectMenu',
+  isModalSubmit: 'modalSubmit',
+  isAutocomplete: 'autocomplete',
+  isUserContextMenuCommand: 'userContextMenu',
+  isMessageContextMenuCommand: 'messageContextMenu',
+};
+
+const fakeAuthor = ({ guild = null, member = null, user = null }) => {
+  /**
+   * @param guild {Object | null} the fake guild, null for DMs
+   * @param member {Object | null} the fake member
+   * @param user {Object | null} the fake user, when there is no member
+   * @returns {{guild: Object | null, member: Object | null, user: Object}}
+   */
+  if (member) {
+    return { guild: member.guild, member, user: member.user };
+  }
+  return { guild, member: null, user: user || fakeUser() };
+};
+
+export const fakeOptions = ({ values = {}, subcommand = null, subcommandGroup = null, focused = null } = {}) => {
+  /**
+   * The options resolver of a slash command or autocomplete interaction
+   * @param values {Object.<string, any>} the options values by name (fake members for the member and user options)
+   * @param subcommand {string | null}
+   * @param subcommandGroup {string | null}
+   * @param focused {string | null} the option being typed, for autocomplete interactions
+   * @returns {Object} a fake discord.js CommandInteractionOptionResolver
+   */
+  const resolved = { ...values };
+  const get = name => (resolved[name] === undefined ? null : resolved[name]);
+  return {
+    get: name => (get(name) === null ? null : { name, value: get(name) }),
+    getString: get,
+    getInteger: get,
+    getNumber: get,
+    getBoolean: get,
+    getChannel: get,
+    getRole: get,
+    getAttachment: get,
+    getMentionable: get,
+    getMember: name => (get(name) && get(name).user ? get(name) : null),
+    getUser: name => (get(name) && get(name).user ? get(name).user : get(name)),
+    getSubcommand: () => subcommand,
+    getSubcommandGroup: () => subcommandGroup,
+    getFocused: full => (full ? { name: focused, value: get(focused) ?? '' } : get(focused) ?? ''),
+  };
+};
+
+export const fakeInteraction = ({ kind, locale = 'en-US', channel = null, ...rest }) => {
+  /**
+   * A fake discord.js interaction, recording the replies in `calls`
+   * @param kind {string} slashCommand, button, selectMenu, modalSubmit, autocomplete, userContextMenu or messageContextMenu
+   * @param locale {string} the user locale
+   * @param channel {Object | null} the fake channel
+   * @param rest {Object} the author (guild, member or user) and the interaction specific properties
+   * @returns {Object}
+   */
+  const { guild, member, user } = fakeAuthor(rest);
+  const interaction = {
+    id: fakeId(),
+    locale,
+    guild,
+    guildId: guild ? guild.id : null,
+    guildLocale: guild ? guild.preferredLocale : null,
+    member,
+    user,
+    channel,
+    channelId: channel ? channel.id : null,
+    calls: [],
+    replied: false,
+    deferred: false,
+    ...rest,
+  };
+  Object.entries(kinds).forEach(([method, type]) => {
+    interaction[method] = () => type === kind;
+  });
+  Object.assign(interaction, recorder(interaction));
+  interaction.deferUpdate = () => {
+    interaction.deferred = true;
+    interaction.calls.push({ type: 'deferUpdate', payload: null });
+    return Promise.resolve();
+  };
+  interaction.update = payload => {
+    interaction.replied = true;
+    interaction.calls.push({ type: 'update', payload });
+    if (interaction.message) {
+      interaction.message.applyEdit(payload);
+    }
+    return Promise.resolve(payload);
+  };
+  interaction.showModal = modal => {
+    interaction.replied = true;
+    interaction.calls.push({ type: 'showModal', payload: typeof modal.toJSON === 'function' ? modal.toJSON() : modal });
+    return Promise.resolve();
+  };
+  interaction.respond = choices => {
+    interaction.replied = true;
+    interaction.calls.push({ type: 'respond', payload: choices });
+    return Promise.resolve();
+  };
+  return interaction;
+};
+
+export const fakeMessage = ({
+  content = '', components = [], embeds = [], channel = null, mentions = [], attachments = [], ...rest
+}) => {
+  /**
+   * A fake discord.js message, recording the replies and the edits in `calls`
+   * @param content {string}
+   * @param components {Object[]} the action rows
+   * @param embeds {Object[]}
+   * @param channel {Object | null} the fake channel
+   * @param mentions {Object[]} the mentioned fake users
+   * @param attachments {Object[]} the attachments, with an id
+   * @param rest {Object} the author (guild, member or user)
+   * @returns {Object}
+   */
+  const { guild, member, user } = fakeAuthor(rest);
+  const message = {
+    id: fakeId(),
+    content,
+    components,
+    embeds,
+    guild,
+    guildId: guild ? guild.id : null,
+    member,
+    author: user,
+    channel: channel || fakeChannel({ guild }),
+    mentions: { users: new Collection(mentions.map(mentioned => [mentioned.id, mentioned])) },
+    attachments: new Collection(attachments.map(attachment => [attachment.id, attachment])),
+    partial: false,
+    calls: [],
+    reply(payload) {
+      message.calls.push({ type: 'reply', payload });
+      return Promise.resolve(fakeMessage({ ...payload, channel: message.channel }));
+    },
+    react(emoji) {
+      message.calls.push({ type: 'react', payload: emoji });
+      return Promise.resolve();
+    },
+    applyEdit(payload) {
+      ['content', 'components', 'embeds'].filter(key => payload[key] !== undefined).forEach(key => {
+        message[key] = payload[key];
+      });
+    },
+    edit(payload) {
+      message.calls.push({ type: 'edit', payload });
+      message.applyEdit(payload);
+      return Promise.resolve(message);
+    },
+    delete() {
+      message.calls.push({ type: 'delete', payload: null });
+      message.deleted = true;
+      message.channel.messages.cache.delete(message.id);
+      return Promise.resolve(message);
+    },
+  };
+  message.channelId = message.channel.id;
+  message.channel.messages.cache.set(message.id, message);
+  return message;
+};
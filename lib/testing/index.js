@@ -0,0 +1,4 @@
+import TestBot from './TestBot.js';
+
+export * from './fakes.js';
+export { TestBot };
@@ -1,8 +1,17 @@
-import { buildButtonsMenu, buildSelectMenu } from './menusBuilders.js';
+import { formatComponentId } from './componentIds.js';
+import { buildEmbeds } from './embedBuilders.js';
+import { buildButtonsMenu, buildSelectMenu, selectedMenuPage } from './menusBuilders.js';
+import { buildModal } from './modalBuilders.js';
+import { paginate } from './paginator.js';
 import soundCommandBuilder from './soundCommandBuilder.js';
 
 export {
   buildButtonsMenu as buttonMenuBuilder,
   buildSelectMenu as selectMenuBuilder,
+  selectedMenuPage,
+  buildModal as modalBuilder,
+  buildEmbeds as embedBuilder,
+  paginate,
   soundCommandBuilder,
+  formatComponentId,
 };
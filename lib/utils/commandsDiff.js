@@ -0,0 +1,92 @@
+import { ApplicationCommandType } from 'discord.js';
+
+const optionFields = [
+  'type', 'name', 'description', 'name_localizations', 'description_localizations', 'required', 'choices',
+  'autocomplete', 'channel_types', 'min_value', 'max_value', 'min_length', 'max_length', 'options',
+];
+
+const commandFields = [
+  'type', 'name', 'description', 'name_localizations', 'description_localizations', 'default_member_permissions',
+  'dm_permission', 'options',
+];
+
+// Discord returns an empty description for the context menu commands, which have none
+const isEmpty = value => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const normalizeOption = option => {
+  const normalized = {};
+  optionFields.forEach(field => {
+    if (field === 'options' && Array.isArray(option.options)) {
+      normalized.options = option.options.map(normalizeOption);
+    } else if (field === 'required' || field === 'autocomplete') {
+      normalized[field] = Boolean(option[field]);
+    } else if (field.endsWith('_localizations') && !isEmpty(option[field])) {
+      // Discord may not list the locales in the local order
+      normalized[field] = Object.fromEntries(Object.entries(option[field]).sort(([a], [b]) => a.localeCompare(b)));
+    } else if (!isEmpty(option[field])) {
+      normalized[field] = option[field];
+    }
+  });
+  return normalized;
+};
+
+export const normalizeCommand = (command, { ignoreDMPermission = false } = {}) => {
+  /**
+   * Keep only the fields describing a command, with the Discord defaults, so a local definition and a
+   * registered command can be compared
+   * @param command {Object} the command JSON definition, local or as returned by Discord
+   * @param ignoreDMPermission {boolean} if true, the dm_permission is not compared (Discord omits it for guild commands)
+   * @returns {Object}
+   */
+  const normalized = normalizeOption({ ...command, type: command.type || ApplicationCommandType.ChatInput });
+  commandFields.forEach(field => {
+    if (field === 'default_member_permissions') {
+      normalized[field] = command[field] === undefined || command[field] === null ? null : String(command[field]);
+    } else if (field === 'dm_permission') {
+      normalized[field] = ignoreDMPermission ? null : command[field] !== false;
+    }
+  });
+  delete normalized.required;
+  delete normalized.autocomplete;
+  return normalized;
+};
+
+const changedFields = (registered, local) => commandFields
+  .filter(field => JSON.stringify(registered[field]) !== JSON.stringify(local[field]));
+
+export const diffCommands = (registered, local, { ignoreDMPermission = false } = {}) => {
+  /**
+   * Compare the registered application commands with the local definitions
+   * @param registered {Object[]} the commands returned by Discord
+   * @param local {Object[]} the commands JSON definitions
+   * @param ignoreDMPermission {boolean} if true, the dm_permission is not compared
+   * @returns {{created: Object[], updated: Array<{id: string, def: Object, changes: string[]}>, deleted: Object[]}}
+   */
+  const created = [];
+  const updated = [];
+
+  const key = command => `${command.type || ApplicationCommandType.ChatInput}:${command.name}`;
+  const registeredByKey = new Map(registered.map(command => [key(command), command]));
+  const localKeys = new Set(local.map(key));
+
+  local.forEach(def => {
+    const existing = registeredByKey.get(key(def));
+    if (!existing) {
+      created.push(def);
+      return;
+    }
+    const changes = changedFields(
+      normalizeCommand(existing, { ignoreDMPermission }),
+      normalizeCommand(def, { ignoreDMPermission }),
+    );
+    if (changes.length > 0) {
+      updated.push({ id: existing.id, def, changes });
+    }
+  });
+
+  const deleted = registered.filter(command => !localKeys.has(key(command)));
+
+  return { created, updated, deleted };
+};
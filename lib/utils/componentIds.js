@@ -0,0 +1,105 @@
+// Discord refuses custom ids longer than that
+const maxCustomIdLength = 100;
+
+const paramRegex = /:([A-Za-z_][A-Za-z0-9_]*)/g;
+
+// Between a component id and the id of the session it belongs to, in the custom ids
+const sessionSeparator = '@';
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const isComponentPattern = id => id instanceof RegExp || (typeof id === 'string' && /:[A-Za-z_]/.test(id));
+
+export const componentRouteKey = id => (id instanceof RegExp ? id.toString() : id);
+
+export const compileComponentPattern = pattern => {
+  /**
+   * Compile a handheld id pattern, `vote-:pollId-:choice` or a regex, into a matcher.
+   * The string parameters are matched lazily: only the last one may contain the characters following the others.
+   * @param pattern {string | RegExp} the pattern
+   * @returns {{key: string, match: function(string): (Object.<string, string> | null)}}
+   */
+  const key = componentRouteKey(pattern);
+
+  if (pattern instanceof RegExp) {
+    return {
+      key,
+      match: customId => {
+        const found = customId.match(pattern);
+        if (!found || found.index !== 0 || found[0].length !== customId.length) {
+          return null;
+        }
+        // Named groups when there are some, the positional ones otherwise
+        return found.groups ? { ...found.groups } : { ...found.slice(1) };
+      },
+    };
+  }
+
+  const names = [];
+  const source = pattern.split(paramRegex).map((part, index) => {
+    if (index % 2 === 0) {
+      return escapeRegex(part);
+    }
+    names.push(part);
+    return '(.+?)';
+  }).join('');
+  const regex = new RegExp(`^${source}$`);
+
+  return {
+    key,
+    match: customId => {
+      const found = customId.match(regex);
+      if (!found) {
+        return null;
+      }
+      return Object.fromEntries(names.map((name, index) => [name, found[index + 1]]));
+    },
+  };
+};
+
+export const formatComponentId = (pattern, params = {}) => {
+  /**
+   * Build a custom id from a pattern, the opposite of the matching
+   * @param pattern {string} the pattern, like `vote-:pollId-:choice`
+   * @param params {Object.<string, any>} the parameters values
+   * @returns {string} the custom id, like `vote-42-yes`
+   * @throws if a parameter is missing or if the id is too long for Discord
+   */
+  const customId = pattern.replace(paramRegex, (_, name) => {
+    if (params[name] === undefined || params[name] === null || String(params[name]) === '') {
+      throw new Error(`Missing parameter "${name}" to build the component id "${pattern}"`);
+    }
+    return String(params[name]);
+  });
+
+  if (customId.length > maxCustomIdLength) {
+    throw new Error(`The component id "${customId}" is longer than ${maxCustomIdLength} characters`);
+  }
+  return customId;
+};
+
+export const withSessionId = (componentId, sessionId) => {
+  /**
+   * @param componentId {string} the component id
+   * @param sessionId {string} the session id
+   * @returns {string} the custom id of a component belonging to a session
+   * @throws if the id is too long for Discord
+   */
+  const customId = `${componentId}${sessionSeparator}${sessionId}`;
+  if (customId.length > maxCustomIdLength) {
+    throw new Error(`The component id "${customId}" is longer than ${maxCustomIdLength} characters`);
+  }
+  return customId;
+};
+
+export const splitSessionId = customId => {
+  /**
+   * @param customId {string} a custom id, belonging to a session or not
+   * @returns {{componentId: string, sessionId: string | null}}
+   */
+  const index = customId.lastIndexOf(sessionSeparator);
+  if (index <= 0) {
+    return { componentId: customId, sessionId: null };
+  }
+  return { componentId: customId.slice(0, index), sessionId: customId.slice(index + sessionSeparator.length) };
+};
@@ -0,0 +1,29 @@
+export default function compose(middlewares, handler) {
+  /**
+   * Chain middlewares around a handler, each middleware being called with the interaction and a `next` function
+   * running the rest of the chain. A middleware not calling `next` stops the chain.
+   * @param middlewares {Function[]} the middlewares, in calling order
+   * @param handler {Function} the handler to call at the end of the chain
+   * @returns {function(UnifiedInteraction): Promise<any>}
+   */
+  const chain = [...middlewares, handler];
+
+  return interaction => {
+    let lastIndex = -1;
+
+    const dispatch = index => {
+      if (index <= lastIndex) {
+        return Promise.reject(new Error('next() called multiple times in a middleware'));
+      }
+      lastIndex = index;
+
+      try {
+        return Promise.resolve(chain[index](interaction, () => dispatch(index + 1)));
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
@@ -0,0 +1,143 @@
+import { EmbedBuilder } from 'discord.js';
+
+// See https://discord.com/developers/docs/resources/channel#embed-object-embed-limits
+export const embedLimits = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  author: 256,
+  total: 6000,
+};
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const splitText = (text, max) => {
+  /**
+   * Split a text in parts, at the line breaks when possible
+   * @param text {string}
+   * @param max {number} the maximum length of a part
+   * @returns {string[]}
+   */
+  const parts = [];
+  let rest = text;
+  while (rest.length > max) {
+    const lineBreak = rest.lastIndexOf('\n', max);
+    const cut = lineBreak > 0 ? lineBreak : max;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\n/, '');
+  }
+  if (rest.length > 0) {
+    parts.push(rest);
+  }
+  return parts;
+};
+
+/**
+ * @typedef EmbedDefinition
+ * @property {string | undefined} title
+ * @property {string | undefined} description split in several embeds when longer than 4096 characters
+ * @property {string | undefined} url the link of the title
+ * @property {number | string | undefined} color a number, a hex string like '#ff0000' or a discord.js color name
+ * @property {string | {name: string, iconURL: string, url: string} | undefined} author
+ * @property {string | undefined} thumbnail the thumbnail url
+ * @property {string | undefined} image the image url, shown under the last embed
+ * @property {string | {text: string, iconURL: string} | undefined} footer
+ * @property {Date | number | boolean | undefined} timestamp true for now
+ * @property {Array<{name: string, value: string, inline: boolean | undefined}> | undefined} fields
+ * spread over several embeds when there are more than 25 or when they are too long
+ */
+
+export const buildEmbeds = ({
+  title,
+  description,
+  url,
+  color,
+  author,
+  thumbnail,
+  image,
+  footer,
+  timestamp,
+  fields = [],
+}) => {
+  /**
+   * Build the embeds of a definition, as many as needed to respect the Discord limits (25 fields and 6000 characters
+   * per embed). The title, color, author, thumbnail and footer are repeated in each embed.
+   * Note that Discord also limits the embeds of a single message to 6000 characters in total.
+   * @param {EmbedDefinition}
+   * @returns {EmbedBuilder[]}
+   */
+  const header = {
+    title: title ? truncate(String(title), embedLimits.title) : null,
+    author: typeof author === 'string' ? { name: author } : author,
+    footer: typeof footer === 'string' ? { text: footer } : footer,
+  };
+  if (header.author) {
+    header.author = { ...header.author, name: truncate(String(header.author.name), embedLimits.author) };
+  }
+  if (header.footer) {
+    header.footer = { ...header.footer, text: truncate(String(header.footer.text), embedLimits.footer) };
+  }
+  const headerSize = [header.title, header.author && header.author.name, header.footer && header.footer.text]
+    .filter(Boolean)
+    .reduce((size, text) => size + text.length, 0);
+
+  const embeds = [];
+  let size = 0;
+  const newEmbed = () => {
+    const embed = new EmbedBuilder();
+    if (header.title) {
+      embed.setTitle(header.title);
+    }
+    if (url) {
+      embed.setURL(url);
+    }
+    if (color !== undefined && color !== null) {
+      embed.setColor(color);
+    }
+    if (header.author) {
+      embed.setAuthor(header.author);
+    }
+    if (thumbnail) {
+      embed.setThumbnail(thumbnail);
+    }
+    if (header.footer) {
+      embed.setFooter(header.footer);
+    }
+    embeds.push(embed);
+    size = headerSize;
+    return embed;
+  };
+
+  let embed = newEmbed();
+  splitText(description ? String(description) : '', Math.min(embedLimits.description, embedLimits.total - headerSize))
+    .forEach((part, index) => {
+      if (index > 0) {
+        embed = newEmbed();
+      }
+      embed.setDescription(part);
+      size += part.length;
+    });
+
+  fields.forEach(field => {
+    const name = truncate(String(field.name || '\u200b'), embedLimits.fieldName);
+    const value = truncate(String(field.value || '\u200b'), embedLimits.fieldValue);
+    const fieldsCount = embed.data.fields ? embed.data.fields.length : 0;
+    if (fieldsCount === embedLimits.fields || size + name.length + value.length > embedLimits.total) {
+      embed = newEmbed();
+    }
+    embed.addFields({ name, value, inline: Boolean(field.inline) });
+    size += name.length + value.length;
+  });
+
+  if (image) {
+    embed.setImage(image);
+  }
+  if (timestamp) {
+    embed.setTimestamp(timestamp === true ? Date.now() : timestamp);
+  }
+
+  return embeds;
+};
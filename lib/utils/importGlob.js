@@ -1,14 +1,31 @@
-import { join } from 'node:path';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
 import { globby } from 'globby';
 
+export const importableFile = /\.(js|ts|mjs|cjs)$/;
+
+export async function importFile(file, bustCache = false) {
+  /**
+   * Import the default export of a file
+   * @param file {string} the file path
+   * @param bustCache {boolean} if true, the file is imported again even if it has already been
+   * @returns {Promise<any>}
+   */
+  const url = pathToFileURL(resolve(file));
+  if (bustCache) {
+    url.searchParams.set('update', String(Date.now()));
+  }
+  const module = await import(url.href);
+  return module.default;
+}
+
 export default async function importGlob(path, bot) {
   /**
-   * @type {string[]}
+   * @type {Array<{file: string, definition: any}>}
    */
   try {
     const files = await globby(join(path, '*.(js|ts|mjs|cjs)'));
-    return Promise.all(files.map(file => import(file)))
-      .then(modules => modules.map(module => module.default));
+    return Promise.all(files.map(async file => ({ file: resolve(file), definition: await importFile(file) })));
   } catch (e) {
     bot.error(e.message);
     return [];
@@ -1,18 +1,76 @@
-import { ActionRowBuilder, ButtonBuilder, ButtonStyle, SelectMenuBuilder } from 'discord.js';
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelSelectMenuBuilder,
+  MentionableSelectMenuBuilder,
+  RoleSelectMenuBuilder,
+  StringSelectMenuBuilder,
+  UserSelectMenuBuilder,
+} from 'discord.js';
+import { formatComponentId, isComponentPattern, splitSessionId } from './componentIds.js';
+
+const buttonId = (item, prefix) => {
+  /**
+   * @param item {{id: string, params: Object | undefined}} the button
+   * @param prefix {string} a prefix, or a pattern like `vote-:pollId-:id` filled with the item id and params
+   * @returns {string} the button custom id
+   */
+  if (isComponentPattern(prefix)) {
+    return formatComponentId(prefix, { id: item.id, ...item.params });
+  }
+  return `${prefix}-${item.id}`;
+};
+
+// Discord limits, see https://discord.com/developers/docs/interactions/message-components
+const maxRows = 5;
+const maxButtonsPerRow = 5;
+const maxOptions = 25;
+
+// The values of the "more…" options of paginated select menus
+const pageValuePrefix = '__page:';
+
+// The select menus whose options are filled in by Discord
+const autoPopulatedMenus = {
+  role: RoleSelectMenuBuilder,
+  user: UserSelectMenuBuilder,
+  channel: ChannelSelectMenuBuilder,
+  mentionable: MentionableSelectMenuBuilder,
+};
+
+export const buildButtonsMenu = (items, prefix, { rows: availableRows = maxRows } = {}) => {
+  /**
+   * Buttons, 5 per row, falling back to select menus when they need more rows than available
+   * @param items {Array<{id: string, label: string, style: ButtonStyle, emoji: string, url: string, disabled: boolean}>}
+   * @param prefix {string} the prefix of the buttons ids, or a pattern (see buttonId)
+   * @param rows {number} the rows available in the message (default: 5)
+   * @returns {ActionRowBuilder[]}
+   * @throws if the buttons need more rows than available and cannot become select menu options
+   */
+  if (Math.ceil(items.length / maxButtonsPerRow) > availableRows) {
+    // Too many rows ! A select menu has a single id and its options cannot open links
+    if (isComponentPattern(prefix)) {
+      throw new Error(`The ${items.length} buttons "${prefix}" need more than ${availableRows} rows, `
+        + 'they cannot become a select menu as their ids are built from a pattern');
+    }
+    if (items.some(item => item.url)) {
+      throw new Error(`The ${items.length} buttons "${prefix}" need more than ${availableRows} rows, `
+        + 'they cannot become a select menu as some of them are links');
+    }
+    return buildSelectMenu(items, prefix, { rows: availableRows, paginate: true });
+  }
 
-export const buildButtonsMenu = (items, prefix) => {
   const rows = [];
 
   let row = new ActionRowBuilder();
   let rowCount = 0;
   items.forEach(item => {
     const button = new ButtonBuilder()
-      .setCustomId(`${prefix}-${item.id}`)
       .setDisabled(item.disabled || false)
       .setLabel(item.label)
-      .setStyle(item.style || ButtonStyle.Primary);
+      .setStyle(item.url ? ButtonStyle.Link : item.style || ButtonStyle.Primary);
 
-    if (rowCount === 5) {
+    if (rowCount === maxButtonsPerRow) {
       rows.push(row);
       row = new ActionRowBuilder();
       rowCount = 0;
@@ -21,8 +79,11 @@ export const buildButtonsMenu = (items, prefix) => {
     if (item.emoji) {
       button.setEmoji(item.emoji);
     }
+    // Link buttons cannot have a custom id
     if (item.url) {
       button.setURL(item.url);
+    } else {
+      button.setCustomId(buttonId(item, prefix));
     }
 
     rowCount++;
@@ -33,34 +94,152 @@ export const buildButtonsMenu = (items, prefix) => {
     rows.push(row);
   }
 
-  if (rows.length > 5) {
-    // Too many rows !
-    return buildSelectMenu(items, prefix);
-  }
-
   return rows;
 };
 
-export const buildSelectMenu = (items, prefix, placeholder = 'Nothing selected', min = 1, max = 1) => {
-  const rows = [];
-  const row = new ActionRowBuilder();
-  const menu = new SelectMenuBuilder()
-    .setCustomId(prefix)
-    .setPlaceholder(placeholder);
+export const selectMenuId = (prefix, index) => (index === 0 ? prefix : `${prefix}-${index + 1}`);
 
-  if (max > 1) {
-    menu.setMinValues(min).setMaxValues(max);
+export const selectedMenuPage = interaction => {
+  /**
+   * @param interaction {UnifiedInteraction} a select menu interaction
+   * @returns {number | null} the page to show if a "more…" option has been chosen
+   */
+  const value = interaction.selectMenuValues.find(selected => selected.startsWith(pageValuePrefix));
+  return value ? parseInt(value.slice(pageValuePrefix.length), 10) : null;
+};
+
+const menuOption = (item, defaultValues) => {
+  /**
+   * @param item {{id: string, label: string, description: string, emoji: string, default: boolean}}
+   * @param defaultValues {string[]} the ids of the options selected by default
+   * @returns {Object} the option definition
+   */
+  const option = {
+    label: String(item.label || item.id).slice(0, 100),
+    value: String(item.id),
+    default: Boolean(item.default) || defaultValues.includes(item.id),
+  };
+  if (item.description) {
+    option.description = String(item.description).slice(0, 100);
+  }
+  if (item.emoji) {
+    option.emoji = typeof item.emoji === 'string' ? { name: item.emoji } : item.emoji;
   }
+  return option;
+};
 
-  items.forEach(item => {
-    menu.addOptions({
-      label: item.label,
-      description: item.description,
-      value: item.id,
-    });
+export const buildSelectMenu = (items, prefix, placeholderOrOptions = 'Nothing selected', min = 1, max = 1) => {
+  /**
+   * Select menus, the options being spread over several menus (one per row) when there are more than 25,
+   * and over several pages with "more…" options when they need more rows than available.
+   * The first menu id is the prefix, the next ones are suffixed with their position (`prefix-2`, `prefix-3`...).
+   * The role, user, channel and mentionable select menus are filled in by Discord: the items are ignored.
+   * @param items {Array<{id: string, label: string, description: string, emoji: string, default: boolean}>}
+   * @param prefix {string} the select menus id
+   * @param placeholderOrOptions {string | Object} the placeholder, or the options:
+   * placeholder, minValues, maxValues, rows (available, default: 5), paginate (default: false), page (default: 0),
+   * defaultValues (the ids of the options selected by default), moreLabel, previousLabel,
+   * type ('string', 'role', 'user', 'channel' or 'mentionable', default: 'string')
+   * and channelTypes (the ChannelType the channel select menus offer, default: all)
+   * @param min {number} the minimum number of options to choose in a menu
+   * @param max {number} the maximum number of options to choose in a menu
+   * @returns {ActionRowBuilder[]} no rows when a string select menu has no items, Discord refusing the menus without options
+   * @throws if the options need more rows than available without pagination, or if the type does not exist
+   */
+  const {
+    placeholder = 'Nothing selected',
+    minValues = min,
+    maxValues = max,
+    rows: availableRows = maxRows,
+    paginate = false,
+    page = 0,
+    defaultValues = [],
+    moreLabel = 'More…',
+    previousLabel = '…Previous',
+    type = 'string',
+    channelTypes = [],
+  } = typeof placeholderOrOptions === 'object' && placeholderOrOptions !== null
+    ? placeholderOrOptions
+    : { placeholder: placeholderOrOptions };
+
+  if (type !== 'string') {
+    const MenuBuilder = autoPopulatedMenus[type];
+    if (!MenuBuilder) {
+      throw new Error(`Unknown select menu type "${type}", should be one of string, ${Object.keys(autoPopulatedMenus).join(', ')}`);
+    }
+    const menu = new MenuBuilder()
+      .setCustomId(prefix)
+      .setPlaceholder(placeholder);
+    const menuMax = Math.min(maxValues, maxOptions);
+    if (menuMax > 1) {
+      menu.setMinValues(Math.min(minValues, menuMax)).setMaxValues(menuMax);
+    }
+    if (type === 'channel' && channelTypes.length > 0) {
+      menu.setChannelTypes(...channelTypes);
+    }
+    return [new ActionRowBuilder().addComponents(menu)];
+  }
+
+  if (items.length === 0) {
+    return [];
+  }
+
+  const rowsCount = Math.max(1, Math.min(availableRows, maxRows));
+  const capacity = rowsCount * maxOptions;
+  let options = items.map(item => menuOption(item, defaultValues));
+
+  if (options.length > capacity) {
+    if (!paginate) {
+      throw new Error(`Select menu "${prefix}" has ${options.length} options, `
+        + `${rowsCount} rows only hold ${capacity} of them, use the paginate option`);
+    }
+    // Each page keeps a place for the "more…" option, and the next ones for the "…previous" one
+    const firstPageSize = capacity - 1;
+    const pageSize = capacity - 2;
+    const pagesCount = 1 + Math.ceil((options.length - firstPageSize) / pageSize);
+    const current = Math.min(Math.max(0, page), pagesCount - 1);
+    const start = current === 0 ? 0 : firstPageSize + (current - 1) * pageSize;
+    const pageOptions = options.slice(start, start + (current === 0 ? firstPageSize : pageSize));
+    options = [
+      ...current > 0 ? [{ label: previousLabel, value: `${pageValuePrefix}${current - 1}` }] : [],
+      ...pageOptions,
+      ...current < pagesCount - 1 ? [{ label: moreLabel, value: `${pageValuePrefix}${current + 1}` }] : [],
+    ];
+  }
+
+  const chunks = Array.from(
+    { length: Math.ceil(options.length / maxOptions) },
+    (_, index) => options.slice(index * maxOptions, (index + 1) * maxOptions),
+  );
+
+  return chunks.map((chunk, index) => {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(selectMenuId(prefix, index))
+      .setPlaceholder(placeholder);
+
+    const menuMax = Math.min(maxValues, chunk.length);
+    if (menuMax > 1) {
+      menu.setMinValues(Math.min(minValues, menuMax)).setMaxValues(menuMax);
+    }
+
+    menu.addOptions(chunk);
+    return new ActionRowBuilder().addComponents(menu);
   });
+};
 
-  row.addComponents(menu);
-  rows.push(row);
-  return rows;
+export const disableComponents = (rows, sessionId = null) => {
+  /**
+   * Copy action rows with their buttons and select menus disabled
+   * @param rows {Array<ActionRow | ActionRowBuilder | Object>} the rows, from a message or built
+   * @param sessionId {string | null} only disable the components of this session
+   * @returns {ActionRowBuilder[]}
+   */
+  const rowBuilders = rows.map(row => ActionRowBuilder.from(row));
+  rowBuilders.forEach(row => row.components.forEach(component => {
+    const customId = component.data.custom_id;
+    if (customId && (!sessionId || splitSessionId(customId).sessionId === sessionId)) {
+      component.setDisabled(true);
+    }
+  }));
+  return rowBuilders;
 };
@@ -0,0 +1,234 @@
+import User from '../User.js';
+
+const truthy = new Set(['true', 'yes', 'y', 'on', '1']);
+const falsy = new Set(['false', 'no', 'n', 'off', '0']);
+
+// The key and vars allow to translate the error for the user
+const argumentError = (message, key, vars) => Object.assign(new Error(message), { key: `bot.args.${key}`, vars });
+
+const mentionId = (token, pattern) => {
+  const match = token.match(pattern);
+  if (match) {
+    return match[1];
+  }
+  return /^\d{17,20}$/.test(token) ? token : null;
+};
+
+export const tokenize = content => {
+  /**
+   * Split a message content into words, keeping "quoted strings" or 'quoted strings' together
+   * @param content {string} the content to split
+   * @returns {string[]}
+   */
+  const tokens = [];
+  const regex = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+  let match = regex.exec(content);
+  while (match !== null) {
+    const [, doubleQuoted, singleQuoted, word] = match;
+    if (word !== undefined) {
+      tokens.push(word);
+    } else {
+      tokens.push((doubleQuoted ?? singleQuoted).replace(/\\(["'\\])/g, '$1'));
+    }
+    match = regex.exec(content);
+  }
+  return tokens;
+};
+
+export const missingSubcommandError = names => argumentError(
+  `Missing subcommand, one of: ${names.join(', ')}`, 'missingSubcommand', { names: names.join(', ') },
+);
+
+export const buildUsage = (commandPath, options = []) => {
+  /**
+   * Build a usage line like "!sound play <name:string> [volume:number]"
+   * @param commandPath {string} the prefixed command name, followed by the subcommand group and subcommand if any
+   * @param options {Option[]} the command options
+   * @returns {string}
+   */
+  const args = options.map(opt => {
+    const arg = `${opt.name}:${String(opt.type).toLowerCase()}`;
+    return opt.required ? `<${arg}>` : `[${arg}]`;
+  });
+  return [commandPath, ...args].join(' ');
+};
+
+const resolveUser = async (token, interaction, asMember) => {
+  const id = mentionId(token, /^<@!?(\d+)>$/);
+  if (!id) {
+    return null;
+  }
+  const { guild, bot } = interaction;
+  if (guild) {
+    try {
+      const member = await guild.members.fetch(id);
+      return new User({ member, guild });
+    } catch (e) {
+      // The user may not be a member of the guild, which only matters for the members
+    }
+  }
+  if (asMember) {
+    return null;
+  }
+  try {
+    const user = await bot.client.users.fetch(id);
+    return new User({ user });
+  } catch (e) {
+    return null;
+  }
+};
+
+const resolveRole = async (token, interaction) => {
+  if (!interaction.guild) {
+    return null;
+  }
+  const role = await interaction.getRole(mentionId(token, /^<@&(\d+)>$/) || token);
+  return role || null;
+};
+
+const resolveChannel = async (token, interaction) => {
+  if (!interaction.guild) {
+    return null;
+  }
+  const channel = await interaction.getChannel(mentionId(token, /^<#(\d+)>$/) || token);
+  return channel || null;
+};
+
+const parseValue = async (token, opt, interaction) => {
+  /**
+   * @param token {string} the raw argument
+   * @param opt {Option} the option definition
+   * @param interaction {UnifiedInteraction} the interaction
+   * @returns {Promise<any>}
+   * @throws {Error}
+   */
+  const type = String(opt.type).toLowerCase();
+  let value;
+
+  switch (type) {
+    case 'string':
+      value = token;
+      break;
+    case 'integer':
+      if (!/^[-+]?\d+$/.test(token)) {
+        throw argumentError(`"${opt.name}" must be an integer (got "${token}")`, 'integer', { name: opt.name, value: token });
+      }
+      value = parseInt(token, 10);
+      break;
+    case 'number':
+    case 'decimal':
+      value = Number(token.replace(',', '.'));
+      if (token.trim() === '' || Number.isNaN(value)) {
+        throw argumentError(`"${opt.name}" must be a number (got "${token}")`, 'number', { name: opt.name, value: token });
+      }
+      break;
+    case 'boolean':
+      if (truthy.has(token.toLowerCase())) {
+        value = true;
+      } else if (falsy.has(token.toLowerCase())) {
+        value = false;
+      } else {
+        throw argumentError(`"${opt.name}" must be true or false (got "${token}")`, 'boolean', { name: opt.name, value: token });
+      }
+      break;
+    case 'member':
+    case 'user':
+      value = await resolveUser(token, interaction, type === 'member');
+      if (!value) {
+        throw argumentError(`"${opt.name}" must be a user mention (got "${token}")`, 'user', { name: opt.name, value: token });
+      }
+      break;
+    case 'role':
+      value = await resolveRole(token, interaction);
+      if (!value) {
+        throw argumentError(`"${opt.name}" must be a role (got "${token}")`, 'role', { name: opt.name, value: token });
+      }
+      break;
+    case 'channel':
+      value = await resolveChannel(token, interaction);
+      if (!value) {
+        throw argumentError(`"${opt.name}" must be a channel (got "${token}")`, 'channel', { name: opt.name, value: token });
+      }
+      break;
+    case 'mentionable':
+      value = await resolveUser(token, interaction, false) || await resolveRole(token, interaction);
+      if (!value) {
+        throw argumentError(`"${opt.name}" must be a user or a role (got "${token}")`, 'mentionable', { name: opt.name, value: token });
+      }
+      break;
+    default:
+      throw new Error(`Unknown option type "${opt.type}" for "${opt.name}"`);
+  }
+
+  if (!opt.choices) {
+    return value;
+  }
+
+  const choice = opt.choices.find(c => c.value === value || c.name === token);
+  if (!choice) {
+    const choices = opt.choices.map(c => c.name).join(', ');
+    throw argumentError(`"${opt.name}" must be one of: ${choices}`, 'choices', { name: opt.name, choices });
+  }
+  return choice.value;
+};
+
+export const parseMessageArgs = async (args, options, interaction) => {
+  /**
+   * Map the words of a prefixed message command to the command options, in order.
+   * The last string option takes the rest of the message.
+   * @param args {string[]} the words following the command (and subcommand) name
+   * @param options {Option[]} the options to map
+   * @param interaction {UnifiedInteraction} the interaction
+   * @returns {Promise<Object.<string, any>>}
+   * @throws {Error} when an argument is missing or invalid, or when there are too many arguments
+   */
+  const values = {};
+  const attachments = interaction.originalObject.attachments
+    ? Array.from(interaction.originalObject.attachments.values())
+    : [];
+  const positional = options.filter(opt => String(opt.type).toLowerCase() !== 'attachment');
+
+  const tokens = positional.map((opt, position) => {
+    const isLast = position === positional.length - 1;
+    if (isLast && String(opt.type).toLowerCase() === 'string' && args.length > position + 1) {
+      return args.slice(position).join(' ');
+    }
+    return args[position];
+  });
+
+  // The last string option takes the rest of the message, otherwise the extra words are rejected
+  const last = positional[positional.length - 1];
+  const takesRest = last && String(last.type).toLowerCase() === 'string';
+  if (!takesRest && args.length > positional.length) {
+    throw argumentError(
+      `Too many arguments (expected at most ${positional.length}, got ${args.length})`,
+      'tooMany',
+      { expected: positional.length, count: args.length },
+    );
+  }
+
+  // The arguments are resolved one after the other, stopping at the first missing or invalid one
+  await positional.reduce(async (previous, opt, position) => {
+    await previous;
+    if (tokens[position] === undefined) {
+      if (opt.required) {
+        throw argumentError(`Missing required argument "${opt.name}"`, 'missing', { name: opt.name });
+      }
+      values[opt.name] = String(opt.type).toLowerCase() === 'boolean' ? false : null;
+      return;
+    }
+    values[opt.name] = await parseValue(tokens[position], opt, interaction);
+  }, Promise.resolve());
+
+  options
+    .filter(opt => String(opt.type).toLowerCase() === 'attachment')
+    .forEach(opt => {
+      const attachment = attachments.shift();
+      if (!attachment && opt.required) {
+        throw argumentError(`Missing required attachment "${opt.name}"`, 'missingAttachment', { name: opt.name });
+      }
+      values[opt.name] = attachment || null;
+    });
+
+  return values;
+};
@@ -0,0 +1,59 @@
+import { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+
+/**
+ * @typedef ModalField
+ * @property {string} id
+ * @property {string} label
+ * @property {string | undefined} style short or paragraph (default: short)
+ * @property {string | undefined} placeholder
+ * @property {string | undefined} value
+ * @property {boolean | undefined} required
+ * @property {number | undefined} minLength
+ * @property {number | undefined} maxLength
+ */
+
+export const buildModal = ({ id, title, fields = [] }) => {
+  /**
+   * Build a modal dialog, each field being a text input on its own row (5 at most)
+   * @param id {string} the modal custom id
+   * @param title {string} the modal title
+   * @param fields {ModalField[]} the modal text inputs
+   * @returns {ModalBuilder}
+   * @throws
+   */
+  if (!id || !title) {
+    throw new Error('A modal must have an id and a title');
+  }
+  if (fields.length === 0 || fields.length > 5) {
+    throw new Error(`A modal must have between 1 and 5 fields (got ${fields.length} in "${id}")`);
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(id)
+    .setTitle(title);
+
+  fields.forEach(field => {
+    const input = new TextInputBuilder()
+      .setCustomId(field.id)
+      .setLabel(field.label)
+      .setStyle(String(field.style).toLowerCase() === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setRequired(field.required ?? true);
+
+    if (field.placeholder) {
+      input.setPlaceholder(field.placeholder);
+    }
+    if (field.value) {
+      input.setValue(field.value);
+    }
+    if (field.minLength) {
+      input.setMinLength(field.minLength);
+    }
+    if (field.maxLength) {
+      input.setMaxLength(field.maxLength);
+    }
+
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+  });
+
+  return modal;
+};
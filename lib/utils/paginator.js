@@ -0,0 +1,125 @@
+import {
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, StringSelectMenuBuilder,
+} from 'discord.js';
+import { buildEmbeds } from './embedBuilders.js';
+
+// Handled by the built-in paginator command
+export const paginatorButtons = ['paginator-first', 'paginator-previous', 'paginator-next', 'paginator-last'];
+export const paginatorSelectMenu = 'paginator-jump';
+
+const maxOptions = 25;
+
+const chunk = (items, size) => Array.from(
+  { length: Math.ceil(items.length / size) },
+  (_, index) => items.slice(index * size, (index + 1) * size),
+);
+
+const buildPages = ({ items, embeds, itemsPerPage, renderItem, embed }) => {
+  /**
+   * @param items {any[] | undefined} the items to list
+   * @param embeds {Array<EmbedBuilder | EmbedDefinition> | undefined} the pages, when there are no items
+   * @param itemsPerPage {number}
+   * @param renderItem {function(any, number): string} the line of an item, from the item and its index
+   * @param embed {EmbedDefinition} the definition of the items pages, without description
+   * @returns {EmbedBuilder[]} the pages, the embeds too big for Discord being split
+   */
+  if (embeds) {
+    return embeds.flatMap(page => (page instanceof EmbedBuilder ? [page] : buildEmbeds(page)));
+  }
+  return chunk(items, Math.max(1, itemsPerPage)).flatMap((pageItems, pageIndex) => buildEmbeds({
+    ...embed,
+    description: pageItems.map((item, index) => renderItem(item, pageIndex * itemsPerPage + index)).join('\n'),
+  }));
+};
+
+export const renderPaginatorPage = (interaction, pages, page) => {
+  /**
+   * @param interaction {UnifiedInteraction}
+   * @param pages {Object[]} the pages embeds, as JSON
+   * @param page {number} the page to render, starting at 0
+   * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+   */
+  const current = Math.min(Math.max(0, page), pages.length - 1);
+  const embed = EmbedBuilder.from(pages[current]);
+  const pageText = interaction.t('paginator.page', { page: current + 1, pages: pages.length });
+  const { footer } = pages[current];
+  embed.setFooter({ text: footer ? `${footer.text} • ${pageText}` : pageText, iconURL: footer ? footer.icon_url : undefined });
+
+  const isFirst = current === 0;
+  const isLast = current === pages.length - 1;
+  const buttons = [
+    ['paginator-first', 'paginator.first', isFirst],
+    ['paginator-previous', 'paginator.previous', isFirst],
+    ['paginator-next', 'paginator.next', isLast],
+    ['paginator-last', 'paginator.last', isLast],
+  ].map(([id, label, disabled]) => new ButtonBuilder()
+    .setCustomId(id)
+    .setLabel(interaction.t(label))
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(disabled));
+  const components = [new ActionRowBuilder().addComponents(buttons)];
+
+  if (pages.length > 2) {
+    // The pages around the current one when there are too many for a select menu
+    const start = Math.min(Math.max(0, current - Math.floor(maxOptions / 2)), Math.max(0, pages.length - maxOptions));
+    const options = Array.from({ length: Math.min(maxOptions, pages.length) }, (_, index) => ({
+      label: interaction.t('paginator.pageOption', { page: start + index + 1 }),
+      value: String(start + index),
+      default: start + index === current,
+    }));
+    components.push(new ActionRowBuilder().addComponents(new StringSelectMenuBuilder()
+      .setCustomId(paginatorSelectMenu)
+      .setPlaceholder(interaction.t('paginator.jump'))
+      .addOptions(options)));
+  }
+
+  return { embeds: [embed], components };
+};
+
+export const paginate = async (interaction, {
+  items,
+  embeds,
+  itemsPerPage = 10,
+  renderItem = item => String(item),
+  embed = {},
+  ttl,
+  restrictTo = 'author',
+  ephemeral = false,
+} = {}) => {
+  /**
+   * Reply with pages browsable with First/Previous/Next/Last buttons and a select menu to jump to a page,
+   * the pages being kept in a component session
+   * @param interaction {UnifiedInteraction} the interaction to reply to
+   * @param items {any[] | undefined} the items to list, `itemsPerPage` per page
+   * @param embeds {Array<EmbedBuilder | EmbedDefinition> | undefined} the pages, instead of items
+   * @param itemsPerPage {number}
+   * @param renderItem {function(any, number): string} the line of an item, from the item and its index
+   * @param embed {EmbedDefinition} the title, color... of the items pages
+   * @param ttl {number | undefined} the milliseconds the buttons work (default: the sessions one, 15 minutes)
+   * @param restrictTo {'author' | 'anyone' | {users: string[], roles: string[]}} who may browse the pages
+   * @param ephemeral {boolean}
+   * @returns {Promise<import('discord.js').Message>} the reply
+   * @throws {Error}
+   */
+  if (!items && !embeds) {
+    throw new Error('The paginator needs items or embeds');
+  }
+  const pages = buildPages({ items, embeds, itemsPerPage, renderItem, embed });
+  if (pages.length === 0) {
+    return interaction.reply({ embeds: buildEmbeds({ ...embed, description: interaction.t('paginator.empty') }), ephemeral });
+  }
+  if (pages.length === 1) {
+    return interaction.reply({ embeds: pages, ephemeral });
+  }
+
+  const state = { pages: pages.map(page => page.toJSON()), page: 0 };
+  const session = await interaction.createSession({ state, ttl, restrictTo });
+  const rendered = renderPaginatorPage(interaction, state.pages, 0);
+  const message = await interaction.reply({
+    embeds: rendered.embeds,
+    components: session.components(rendered.components),
+    ephemeral,
+  });
+  await session.attach(interaction);
+  return message;
+};
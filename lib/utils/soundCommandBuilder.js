@@ -1,8 +1,10 @@
+import { VoiceConnectionStatus } from '@discordjs/voice';
+import { selectedMenuPage } from './menusBuilders.js';
 import SoundManager from '../SoundManager.js';
 
 /**
  * @typedef SoundCommandDefinition
- * @property {string} channelName
+ * @property {string | undefined} channelName the voice channel to play in, the one of the user by default
  * @property {string} soundFilesDir
  * @property {string} commandName
  * @property {string} commandDescription
@@ -19,57 +21,148 @@ const soundCommandBuilder = ({
     soundFilesDir,
     commandName = 'playsound',
     commandDescription = 'Play some sounds in Vocal Channel',
-    playSoundText = 'Which sound to play?',
+    playSoundText,
     buttonPrefix = 'playsound',
     selectMenuName = 'playsound',
     defaultVolumes = {},
     requiredRoles = [],
-    requiredRolesErrorMessage = 'You do not have the required roles to use this command.',
+    requiredRolesErrorMessage,
   }) => {
   /**
    * @param {SoundCommandDefinition}
    * @return {CommandDefinition}
    */
-  let soundManager;
+  // The sound managers of the guilds, a bot being in a single voice channel per guild
+  const soundManagers = new Map();
 
   const soundManagerOptions = {
-    channelName,
     buttonPrefix,
     selectMenuName,
     defaultVolumes,
     soundFilesDir,
   };
 
-  const getSoundManager = async interaction => {
-    if (!soundManager) {
-      soundManager = new SoundManager({ ...soundManagerOptions, interaction });
-      await soundManager.init();
+  const createSoundManager = async (interaction, voiceChannelId) => {
+    const guildId = interaction.guild.id;
+    const soundManager = new SoundManager({ ...soundManagerOptions, channelName: voiceChannelId, interaction });
+    await soundManager.init();
+    // Left, kicked or released: the next interaction joins again
+    soundManager.connection.on(VoiceConnectionStatus.Destroyed, async () => {
+      if (await soundManagers.get(guildId) === soundManager) {
+        soundManagers.delete(guildId);
+      }
+    });
+    return soundManager;
+  };
+
+  const getSoundManager = async (interaction, { join = false } = {}) => {
+    /**
+     * The sound manager of the interaction guild, joining the voice channel when needed
+     * @param interaction {UnifiedInteraction}
+     * @param join {boolean} whether to move to the user voice channel if the bot is in another one
+     * @returns {Promise<SoundManager | null>} null when there is no channel to join
+     */
+    const guildId = interaction.guild.id;
+    const { voice } = interaction.author;
+    const voiceChannelId = channelName || (voice ? voice.channelId : null);
+
+    // Read before awaiting, a simultaneous interaction could be creating it
+    const pending = soundManagers.get(guildId);
+    let soundManager = pending ? await pending : null;
+    if (soundManager && join && voiceChannelId && soundManager.channelId !== voiceChannelId && !channelName) {
+      soundManager.destroy();
+      soundManager = null;
+    }
+    if (soundManager) {
+      return soundManager;
+    }
+    if (!voiceChannelId) {
+      return null;
+    }
+
+    // Stored before being initialized so simultaneous interactions share it
+    const created = createSoundManager(interaction, voiceChannelId);
+    soundManagers.set(guildId, created);
+    try {
+      return await created;
+    } catch (error) {
+      soundManagers.delete(guildId);
+      throw error;
     }
   };
 
+  const notInVoiceChannel = interaction => interaction.reply({ content: interaction.t('sounds.notInVoiceChannel'), ephemeral: true });
+
+  const updateStatus = async (interaction, soundManager) => {
+    // The menu message shows what is playing and the queue
+    const content = soundManager.soundName
+      ? soundManager.statusContent('sounds.playing',
+        { sound: soundManager.soundName, channel: soundManager.channelName, volume: soundManager.volume })
+      : soundManager.statusContent(soundManager.queue.length > 0 ? 'sounds.stopped' : 'sounds.queueEmpty');
+    await interaction.update({ content, components: await soundManager.menu() });
+  };
+
   const commandHandler = async interaction => {
-    await getSoundManager(interaction);
-    await interaction.reply({ content: playSoundText, components: await soundManager.menu() });
+    const soundManager = await getSoundManager(interaction, { join: true });
+    if (!soundManager) {
+      return notInVoiceChannel(interaction);
+    }
+    const content = playSoundText || interaction.t('sounds.which');
+    return interaction.reply({ content, components: await soundManager.menu() });
   };
 
   const buttonsHandler = async interaction => {
-    await getSoundManager(interaction);
+    if (interaction.buttonId === `${buttonPrefix}-leave`) {
+      const soundManager = await soundManagers.get(interaction.guild.id);
+      if (soundManager) {
+        soundManager.destroy();
+      }
+      return interaction.update({ content: interaction.t('sounds.left'), components: [] });
+    }
+
+    const soundManager = await getSoundManager(interaction);
+    if (!soundManager) {
+      return notInVoiceChannel(interaction);
+    }
 
     try {
-      await soundManager.stop(interaction);
+      switch (interaction.buttonId) {
+        case `${buttonPrefix}-skip`:
+          await soundManager.skip(interaction);
+          break;
+        case `${buttonPrefix}-loop`:
+          soundManager.loop();
+          await updateStatus(interaction, soundManager);
+          break;
+        case `${buttonPrefix}-queue`:
+          await updateStatus(interaction, soundManager);
+          break;
+        default:
+          await soundManager.stop(interaction);
+      }
     } catch (error) {
       interaction.bot.error(error);
     }
+    return undefined;
   };
 
   const selectMenusHandler = async interaction => {
-    await getSoundManager(interaction);
+    const soundManager = await getSoundManager(interaction);
+    if (!soundManager) {
+      return notInVoiceChannel(interaction);
+    }
+
+    const page = selectedMenuPage(interaction);
+    if (page !== null) {
+      return interaction.update({ components: await soundManager.menu(page) });
+    }
 
     try {
-      await soundManager.play(interaction, interaction.selectMenuValue);
+      await soundManager.enqueue(interaction, interaction.selectMenuValue);
     } catch (error) {
       interaction.bot.error(error);
     }
+    return undefined;
   };
 
   return {
@@ -81,8 +174,9 @@ const soundCommandBuilder = ({
     commandHandler,
     buttonsHandler,
     selectMenusHandler,
-    buttonsHandheld: [`${buttonPrefix}-stop`],
-    selectMenusHandheld: [selectMenuName],
+    buttonsHandheld: ['stop', 'skip', 'loop', 'queue', 'leave'].map(button => `${buttonPrefix}-${button}`),
+    // The sounds are spread over several select menus when there are more than 25
+    selectMenusHandheld: [selectMenuName, `${selectMenuName}-:part`],
   };
 };
 
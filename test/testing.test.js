@@ -0,0 +1,57 @@
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import { Builders } from 'unicorn-discord-bot';
+import { TestBot } from 'unicorn-discord-bot/testing';
+
+const ping = {
+  name: 'ping',
+  description: 'Replies pong',
+  options: [
+    { name: 'who', description: 'Who is pinging', type: 'string' },
+  ],
+  commandHandler: interaction => interaction.reply({
+    content: `pong ${interaction.commandOptions.who || 'you'}!`,
+    components: Builders.buttonMenuBuilder([{ id: 'again', label: 'Again' }], 'ping'),
+  }),
+  buttonsHandheld: ['ping-again'],
+  buttonsHandler: interaction => interaction.update({ content: 'pong again!' }),
+};
+
+describe('TestBot', () => {
+  let bot;
+
+  before(async () => {
+    bot = await TestBot.create({ commands: [ping] });
+  });
+
+  after(async () => {
+    await bot.stop();
+  });
+
+  it('handles the slash commands', async () => {
+    const interaction = await bot.slashCommand('ping', { options: { who: 'Bob' } });
+    assert.equal(interaction.calls.length, 1);
+    assert.equal(interaction.calls[0].type, 'reply');
+    assert.equal(interaction.calls[0].payload.content, 'pong Bob!');
+  });
+
+  it('handles the message commands', async () => {
+    const message = await bot.message('!ping Alice');
+    assert.equal(message.calls[0].payload.content, 'pong Alice!');
+  });
+
+  it('handles the buttons of the replies', async () => {
+    const interaction = await bot.slashCommand('ping');
+    const button = await bot.button('ping-again', { message: await interaction.fetchReply() });
+    assert.deepEqual(button.calls.map(call => call.type), ['update']);
+    assert.equal(button.calls[0].payload.content, 'pong again!');
+  });
+
+  it('rejects the users without the required roles', async () => {
+    const guarded = await TestBot.create({ commands: [{ ...ping, requiredRoles: ['admin'] }] });
+    const interaction = await guarded.slashCommand('ping');
+    assert.equal(interaction.calls[0].payload.content, 'You do not have the required roles to use this command.');
+    assert.equal(interaction.calls[0].payload.ephemeral, true);
+    await guarded.stop();
+  });
+});